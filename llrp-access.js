@@ -0,0 +1,155 @@
+/**
+ * C1G2 access operations
+ * Builds AccessSpec parameter trees for ADD_ACCESSSPEC and decodes the
+ * OpSpecResults the reader returns inside TagReportData.
+ *
+ * Operation descriptors:
+ *   { type: 'read', bank, wordPointer = 0, wordCount = 0, accessPassword = 0, name }
+ *   { type: 'write' | 'blockWrite', bank, wordPointer = 0, data, accessPassword = 0, name }
+ *   { type: 'lock', locks: [{ field, privilege }], accessPassword = 0 }
+ *   { type: 'kill', killPassword }
+ * bank is a MEMORY_BANKS key; wordCount 0 reads the whole bank.
+ * data is a hex string of whole 16-bit words.
+ * Lock fields and privileges are LOCK_FIELDS / LOCK_PRIVILEGES keys.
+ * name (default: the bank) keys the result in tag.reads.
+ */
+
+const { OP_RESULT_CODES } = require('./llrp-params');
+const { param } = require('./llrp-codec');
+
+const MEMORY_BANKS = { reserved: 0, epc: 1, tid: 2, user: 3 };
+const PROTOCOL_C1G2 = 1;  // AccessSpec ProtocolID: EPCGlobal Class 1 Gen 2
+
+// C1G2LockPayload DataField
+const LOCK_FIELDS = { killPassword: 0, accessPassword: 1, epc: 2, tid: 3, user: 4 };
+
+// C1G2LockPayload Privilege; the perma* privileges cannot be undone
+const LOCK_PRIVILEGES = { lock: 0, permalock: 1, permaunlock: 2, unlock: 3 };
+const IRREVERSIBLE_PRIVILEGES = ['permalock', 'permaunlock'];
+
+function lockPayload({ field, privilege }) {
+    if (!(field in LOCK_FIELDS)) throw new TypeError(`Unknown lock field '${field}'`);
+    if (!(privilege in LOCK_PRIVILEGES)) throw new TypeError(`Unknown lock privilege '${privilege}'`);
+    return param('C1G2LockPayload', { privilege: LOCK_PRIVILEGES[privilege], dataField: LOCK_FIELDS[field] });
+}
+
+function bankNumber(bank) {
+    if (!(bank in MEMORY_BANKS)) throw new TypeError(`Unknown memory bank '${bank}'`);
+    return MEMORY_BANKS[bank];
+}
+
+function hexToWords(hex, what = 'Write data') {
+    if (typeof hex !== 'string' || !/^([0-9a-fA-F]{4})+$/.test(hex)) {
+        throw new TypeError(`${what} must be a hex string of whole 16-bit words, got '${hex}'`);
+    }
+    const words = [];
+    for (let i = 0; i < hex.length; i += 4) words.push(parseInt(hex.slice(i, i + 4), 16));
+    return words;
+}
+
+/**
+ * C1G2TargetTag: tags whose bank bits at pointer match data under mask.
+ * mask and data are hex strings; an empty mask matches every tag.
+ * { epc } is shorthand for an exact match on the EPC (EPC bank from bit 0x20).
+ */
+function targetTag({ epc, bank = 'epc', pointer = 0, mask = '', data = '', match = true } = {}) {
+    if (epc !== undefined) {
+        hexToWords(epc, 'Target EPC');
+        return param('C1G2TargetTag', { mb: MEMORY_BANKS.epc, match: true, pointer: 0x20, tagMask: 'F'.repeat(epc.length), tagData: epc });
+    }
+    return param('C1G2TargetTag', { mb: bankNumber(bank), match, pointer, tagMask: mask, tagData: data });
+}
+
+// Operation descriptor (with opSpecId assigned) -> OpSpec parameter
+const OP_BUILDERS = {
+    read: (op) => param('C1G2Read', {
+        opSpecId: op.opSpecId,
+        accessPassword: op.accessPassword ?? 0,
+        mb: bankNumber(op.bank),
+        wordPointer: op.wordPointer ?? 0,
+        wordCount: op.wordCount ?? 0,
+    }),
+    write: (op) => param('C1G2Write', {
+        opSpecId: op.opSpecId,
+        accessPassword: op.accessPassword ?? 0,
+        mb: bankNumber(op.bank),
+        wordPointer: op.wordPointer ?? 0,
+        writeData: hexToWords(op.data),
+    }),
+    blockWrite: (op) => param('C1G2BlockWrite', {
+        opSpecId: op.opSpecId,
+        accessPassword: op.accessPassword ?? 0,
+        mb: bankNumber(op.bank),
+        wordPointer: op.wordPointer ?? 0,
+        writeData: hexToWords(op.data),
+    }),
+    lock: (op) => {
+        if (!op.locks || op.locks.length === 0) throw new TypeError('Lock operation needs at least one { field, privilege }');
+        return param('C1G2Lock', { opSpecId: op.opSpecId, accessPassword: op.accessPassword ?? 0 }, op.locks.map(lockPayload));
+    },
+    kill: (op) => param('C1G2Kill', { opSpecId: op.opSpecId, killPassword: op.killPassword }),
+};
+
+function buildOpSpec(op) {
+    const build = OP_BUILDERS[op.type];
+    if (!build) throw new TypeError(`Unknown access operation '${op.type}'`);
+    return build(op);
+}
+
+/**
+ * AccessSpec parameter tree, added disabled (ENABLE_ACCESSSPEC turns it on).
+ * operationCount 0 keeps the AccessSpec active until deleted.
+ * Results are reported with the ROSpec's tag reports (AccessReportTrigger 0).
+ */
+function buildAccessSpec({ accessSpecId, roSpecId = 0, antennaId = 0, operationCount = 0, target = {}, operations }) {
+    return param('AccessSpec', { accessSpecId, antennaId, protocolId: PROTOCOL_C1G2, currentState: false, roSpecId }, [
+        param('AccessSpecStopTrigger', {
+            accessSpecStopTriggerType: operationCount > 0 ? 1 : 0,  // 1 = Operation count
+            operationCountValue: operationCount,
+        }),
+        param('AccessCommand', {}, [
+            param('C1G2TagSpec', {}, [targetTag(target)]),
+            ...operations.map(buildOpSpec),
+        ]),
+        param('AccessReportSpec', { accessReportTrigger: 0 }),
+    ]);
+}
+
+const wordsToHex = (words) => words.map(word => word.toString(16).padStart(4, '0')).join('').toUpperCase();
+
+// OpSpecResult fields -> type-specific part of the decoded result
+const RESULT_DECODERS = {
+    C1G2ReadOpSpecResult: (fields) => ({ type: 'read', data: wordsToHex(fields.readData) }),
+    C1G2WriteOpSpecResult: (fields) => ({ type: 'write', numWordsWritten: fields.numWordsWritten }),
+    C1G2BlockWriteOpSpecResult: (fields) => ({ type: 'blockWrite', numWordsWritten: fields.numWordsWritten }),
+    C1G2LockOpSpecResult: () => ({ type: 'lock' }),
+    C1G2KillOpSpecResult: () => ({ type: 'kill' }),
+};
+
+// OpSpecResult node -> { opSpecId, type, result, resultName, success, ... } or null if not an OpSpecResult
+function decodeOpSpecResult(node) {
+    const decode = RESULT_DECODERS[node.name];
+    if (!decode) return null;
+
+    const { result, opSpecId } = node.fields;
+    return {
+        opSpecId,
+        result,
+        resultName: OP_RESULT_CODES[node.name][result] ?? `Unknown result ${result}`,
+        success: result === 0,
+        ...decode(node.fields),
+    };
+}
+
+module.exports = {
+    MEMORY_BANKS,
+    PROTOCOL_C1G2,
+    LOCK_FIELDS,
+    LOCK_PRIVILEGES,
+    IRREVERSIBLE_PRIVILEGES,
+    targetTag,
+    buildAccessSpec,
+    decodeOpSpecResult,
+    wordsToHex,
+    hexToWords,
+};
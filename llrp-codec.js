@@ -0,0 +1,420 @@
+/**
+ * LLRP codec
+ * Decodes LLRP frames into a typed parameter tree and encodes trees back
+ * into bytes, driven by the definitions in llrp-params.js.
+ *
+ * Decoded parameter node:
+ *   { type, name, fields: { ... }, params: [ ...child nodes ] }
+ * Unknown TLV parameters decode with name = null and fields.data = raw bytes.
+ */
+
+const { MSG, MESSAGES, TV_PARAMS, TLV_PARAMS } = require('./llrp-params');
+
+const HEADER_LENGTH = 10;
+const DEFAULT_VERSION = 1;  // LLRP 1.0.1
+
+// Parameter name -> { type, def } for encoding
+const PARAM_BY_NAME = {};
+for (const [type, def] of Object.entries(TV_PARAMS)) PARAM_BY_NAME[def.name] = { type: Number(type), def, tv: true };
+for (const [type, def] of Object.entries(TLV_PARAMS)) PARAM_BY_NAME[def.name] = { type: Number(type), def, tv: false };
+
+class TruncatedError extends Error {}
+
+// ============================================
+// Decoding
+// ============================================
+
+class FieldReader {
+    constructor(buf, offset, end) {
+        this.buf = buf;
+        this.offset = offset;
+        this.end = end;
+        this.bitOffset = 0;
+    }
+
+    need(bytes) {
+        if (this.offset + bytes > this.end) {
+            throw new TruncatedError(`Field overruns parameter (need ${bytes} bytes at ${this.offset}, end ${this.end})`);
+        }
+    }
+
+    align() {
+        if (this.bitOffset > 0) {
+            this.offset += 1;
+            this.bitOffset = 0;
+        }
+    }
+
+    bits(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            this.need(1);
+            const bit = (this.buf[this.offset] >> (7 - this.bitOffset)) & 1;
+            value = (value << 1) | bit;
+            this.bitOffset += 1;
+            if (this.bitOffset === 8) {
+                this.offset += 1;
+                this.bitOffset = 0;
+            }
+        }
+        return value;
+    }
+
+    bytes(count) {
+        this.align();
+        this.need(count);
+        const slice = this.buf.slice(this.offset, this.offset + count);
+        this.offset += count;
+        return slice;
+    }
+
+    read(type) {
+        const bitMatch = /^u([1-7])$/.exec(type);
+        if (bitMatch) {
+            const value = this.bits(Number(bitMatch[1]));
+            return type === 'u1' ? value === 1 : value;
+        }
+
+        switch (type) {
+            case 'u8': return this.bytes(1).readUInt8(0);
+            case 's8': return this.bytes(1).readInt8(0);
+            case 'u16': return this.bytes(2).readUInt16BE(0);
+            case 's16': return this.bytes(2).readInt16BE(0);
+            case 'u32': return this.bytes(4).readUInt32BE(0);
+            case 'u64': return this.bytes(8).readBigUInt64BE(0);
+            case 'u96': return this.bytes(12).toString('hex').toUpperCase();
+            case 'u1v': {
+                const bitCount = this.read('u16');
+                const hex = this.bytes(Math.ceil(bitCount / 8)).toString('hex').toUpperCase();
+                return { bitCount, hex };
+            }
+            case 'u8v': return Array.from(this.bytes(this.read('u16')));
+            case 'u16v': {
+                const count = this.read('u16');
+                const items = [];
+                for (let i = 0; i < count; i++) items.push(this.read('u16'));
+                return items;
+            }
+            case 'u32v': {
+                const count = this.read('u16');
+                const items = [];
+                for (let i = 0; i < count; i++) items.push(this.read('u32'));
+                return items;
+            }
+            case 'utf8v': return this.bytes(this.read('u16')).toString('utf8');
+            case 'bytes': return this.bytes(this.end - this.offset);
+            default:
+                throw new Error(`Unknown LLRP field type: ${type}`);
+        }
+    }
+}
+
+function decodeFields(defFields, reader) {
+    const fields = {};
+    for (const f of defFields) {
+        if (f.type === 'reserved') {
+            reader.bits(f.bits);
+        } else {
+            fields[f.name] = reader.read(f.type);
+        }
+    }
+    reader.align();
+    return fields;
+}
+
+// Byte length of a TV parameter value (fixed by its definition)
+function tvValueLength(def) {
+    let bits = 0;
+    for (const f of def.fields) {
+        if (f.type === 'reserved') bits += f.bits;
+        else if (f.type === 'u96') bits += 96;
+        else if (f.type === 'u64') bits += 64;
+        else bits += Number(/\d+/.exec(f.type)[0]);
+    }
+    return Math.ceil(bits / 8);
+}
+
+/**
+ * Decode one parameter at offset. Returns { node, next } or null when the
+ * bytes cannot be decoded safely (bad length, truncation).
+ * An unknown TV type has no knowable length, so it becomes a raw node
+ * (name null, tv true) holding the rest of the run rather than a guess.
+ */
+function decodeParam(buf, offset, end) {
+    if (offset >= end) return null;
+
+    if (buf[offset] & 0x80) {
+        // TV-encoded parameter (Type-Value, no length field)
+        const type = buf[offset] & 0x7F;
+        const def = TV_PARAMS[type];
+        if (!def) {
+            // Unknown TV length: keep the bytes but decode nothing after them, to avoid desync and junk EPCs
+            return { node: { type, name: null, tv: true, fields: { data: buf.slice(offset + 1, end) }, params: [] }, next: end };
+        }
+
+        const next = offset + 1 + tvValueLength(def);
+        if (next > end) return null;
+        const fields = decodeFields(def.fields, new FieldReader(buf, offset + 1, next));
+        return { node: { type, name: def.name, fields, params: [] }, next };
+    }
+
+    if (offset + 4 > end) return null;
+    const type = buf.readUInt16BE(offset) & 0x3FF;
+    const length = buf.readUInt16BE(offset + 2);
+    if (length < 4 || offset + length > end) return null;
+
+    const next = offset + length;
+    const def = TLV_PARAMS[type];
+    if (!def) {
+        // Some readers wrap TV parameters in a TLV header; decode those when the value has the TV length
+        const tvDef = TV_PARAMS[type];
+        if (tvDef && length - 4 === tvValueLength(tvDef)) {
+            const fields = decodeFields(tvDef.fields, new FieldReader(buf, offset + 4, next));
+            return { node: { type, name: tvDef.name, fields, params: [] }, next };
+        }
+        return { node: { type, name: null, fields: { data: buf.slice(offset + 4, next) }, params: [] }, next };
+    }
+
+    const reader = new FieldReader(buf, offset + 4, next);
+    let fields;
+    try {
+        fields = decodeFields(def.fields, reader);
+    } catch (err) {
+        if (err instanceof TruncatedError) return null;
+        throw err;
+    }
+    const params = decodeParams(buf, reader.offset, next);
+    return { node: { type, name: def.name, fields, params }, next };
+}
+
+// Decode a run of parameters between offset and end
+function decodeParams(buf, offset = 0, end = buf.length) {
+    const params = [];
+    while (offset < end) {
+        const result = decodeParam(buf, offset, end);
+        if (!result) break;
+        params.push(result.node);
+        offset = result.next;
+    }
+    return params;
+}
+
+function decodeHeader(buf) {
+    return {
+        version: (buf[0] >> 2) & 0x07,
+        type: ((buf[0] & 0x03) << 8) | buf[1],
+        length: buf.readUInt32BE(2),
+        messageId: buf.readUInt32BE(6),
+    };
+}
+
+// Decode a complete LLRP message (header + body)
+function decodeMessage(buf) {
+    const header = decodeHeader(buf);
+    const def = MESSAGES[header.type];
+    const end = Math.min(header.length, buf.length);
+    const reader = new FieldReader(buf, HEADER_LENGTH, end);
+
+    let fields = {};
+    if (def) {
+        try {
+            fields = decodeFields(def.fields, reader);
+        } catch (err) {
+            if (!(err instanceof TruncatedError)) throw err;
+        }
+    }
+
+    return {
+        ...header,
+        name: def ? def.name : null,
+        fields,
+        params: decodeParams(buf, reader.offset, end),
+    };
+}
+
+// ============================================
+// Encoding
+// ============================================
+
+class FieldWriter {
+    constructor() {
+        this.bytes = [];
+        this.partial = 0;
+        this.bitOffset = 0;
+    }
+
+    align() {
+        if (this.bitOffset > 0) {
+            this.bytes.push(this.partial);
+            this.partial = 0;
+            this.bitOffset = 0;
+        }
+    }
+
+    bits(count, value) {
+        for (let i = count - 1; i >= 0; i--) {
+            this.partial |= ((value >> i) & 1) << (7 - this.bitOffset);
+            this.bitOffset += 1;
+            if (this.bitOffset === 8) this.align();
+        }
+    }
+
+    buffer(buf) {
+        this.align();
+        for (const b of buf) this.bytes.push(b);
+    }
+
+    int(size, value, signed = false) {
+        const b = Buffer.alloc(size);
+        if (size === 1) signed ? b.writeInt8(value, 0) : b.writeUInt8(value, 0);
+        else if (size === 2) signed ? b.writeInt16BE(value, 0) : b.writeUInt16BE(value, 0);
+        else if (size === 4) b.writeUInt32BE(value >>> 0, 0);
+        else b.writeBigUInt64BE(BigInt(value), 0);
+        this.buffer(b);
+    }
+
+    write(type, value) {
+        const bitMatch = /^u([1-7])$/.exec(type);
+        if (bitMatch) {
+            this.bits(Number(bitMatch[1]), Number(value || 0));
+            return;
+        }
+
+        switch (type) {
+            case 'u8': this.int(1, value || 0); break;
+            case 's8': this.int(1, value || 0, true); break;
+            case 'u16': this.int(2, value || 0); break;
+            case 's16': this.int(2, value || 0, true); break;
+            case 'u32': this.int(4, value || 0); break;
+            case 'u64': this.int(8, value || 0); break;
+            case 'u96': this.buffer(Buffer.from((value || '').padStart(24, '0'), 'hex')); break;
+            case 'u1v': {
+                const { bitCount, hex } = typeof value === 'string'
+                    ? { bitCount: value.length * 4, hex: value }
+                    : (value || { bitCount: 0, hex: '' });
+                this.int(2, bitCount);
+                const data = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+                this.buffer(data.slice(0, Math.ceil(bitCount / 8)));
+                break;
+            }
+            case 'u8v':
+            case 'u16v':
+            case 'u32v': {
+                const items = value || [];
+                const size = { u8v: 1, u16v: 2, u32v: 4 }[type];
+                this.int(2, items.length);
+                for (const item of items) this.int(size, item);
+                break;
+            }
+            case 'utf8v': {
+                const data = Buffer.from(value || '', 'utf8');
+                this.int(2, data.length);
+                this.buffer(data);
+                break;
+            }
+            case 'bytes': this.buffer(value || Buffer.alloc(0)); break;
+            default:
+                throw new Error(`Unknown LLRP field type: ${type}`);
+        }
+    }
+
+    toBuffer() {
+        this.align();
+        return Buffer.from(this.bytes);
+    }
+}
+
+function encodeFields(defFields, values = {}) {
+    const writer = new FieldWriter();
+    for (const f of defFields) {
+        if (f.type === 'reserved') {
+            writer.bits(f.bits, 0);
+        } else {
+            writer.write(f.type, values[f.name]);
+        }
+    }
+    return writer.toBuffer();
+}
+
+function resolveParam(node) {
+    if (node.name) {
+        const entry = PARAM_BY_NAME[node.name];
+        if (!entry) throw new Error(`Unknown LLRP parameter: ${node.name}`);
+        return entry;
+    }
+    if (TV_PARAMS[node.type]) return { type: node.type, def: TV_PARAMS[node.type], tv: true };
+    return { type: node.type, def: TLV_PARAMS[node.type] || null, tv: false };
+}
+
+// Encode a parameter node (and its children) into bytes
+function encodeParam(node) {
+    const { type, def, tv } = resolveParam(node);
+
+    if (tv) {
+        return Buffer.concat([Buffer.from([0x80 | type]), encodeFields(def.fields, node.fields)]);
+    }
+
+    // Unknown TLV types round-trip their raw data
+    const fieldBytes = def ? encodeFields(def.fields, node.fields) : (node.fields?.data || Buffer.alloc(0));
+    const body = Buffer.concat([fieldBytes, ...(node.params || []).map(encodeParam)]);
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(type & 0x3FF, 0);
+    header.writeUInt16BE(4 + body.length, 2);
+    return Buffer.concat([header, body]);
+}
+
+// Encode a complete LLRP message: { type, messageId, version, fields, params }
+function encodeMessage({ type, messageId, version = DEFAULT_VERSION, fields = {}, params = [] }) {
+    const def = MESSAGES[type];
+    const body = Buffer.concat([
+        def ? encodeFields(def.fields, fields) : Buffer.alloc(0),
+        ...params.map(encodeParam),
+    ]);
+
+    const header = Buffer.alloc(HEADER_LENGTH);
+    header.writeUInt8(((version & 0x07) << 2) | ((type >> 8) & 0x03), 0);
+    header.writeUInt8(type & 0xFF, 1);
+    header.writeUInt32BE(HEADER_LENGTH + body.length, 2);
+    header.writeUInt32BE(messageId >>> 0, 6);
+    return Buffer.concat([header, body]);
+}
+
+// ============================================
+// Tree helpers
+// ============================================
+
+// Symbolic name of a message type (for logs and errors)
+const messageName = (type) => (MESSAGES[type] ? MESSAGES[type].name : `message type ${type}`);
+
+// Build a parameter node for encoding
+const param = (name, fields = {}, params = []) => ({ name, fields, params });
+
+// First direct child with the given name
+const findParam = (node, name) => (node.params || []).find(p => p.name === name) || null;
+
+// All direct children with the given name
+const findParams = (node, name) => (node.params || []).filter(p => p.name === name);
+
+// All descendants (depth-first) with the given name
+function findDeep(node, name, out = []) {
+    for (const child of node.params || []) {
+        if (child.name === name) out.push(child);
+        findDeep(child, name, out);
+    }
+    return out;
+}
+
+module.exports = {
+    MSG,
+    HEADER_LENGTH,
+    decodeHeader,
+    decodeMessage,
+    decodeParams,
+    encodeMessage,
+    encodeParam,
+    messageName,
+    param,
+    findParam,
+    findParams,
+    findDeep,
+};
@@ -0,0 +1,127 @@
+/**
+ * LLRP error types
+ * Used to reject LLRPReader.request() promises and emitted on 'error'.
+ * LLRPStatus failures are decoded into symbolic names (M_ParameterError,
+ * A_OutOfRange, ...) together with any nested FieldError / ParameterError.
+ */
+
+const { TV_PARAMS, TLV_PARAMS, STATUS_CODES } = require('./llrp-params');
+
+const statusName = (code) => (STATUS_CODES[code] ? STATUS_CODES[code].name : `Unknown_${code}`);
+const parameterName = (type) => (TLV_PARAMS[type] || TV_PARAMS[type] || { name: `Parameter_${type}` }).name;
+const childNamed = (node, name) => node.params.find(p => p.name === name) || null;
+
+// FieldError node -> { fieldNum, errorCode, errorName }
+function decodeFieldError(node) {
+    if (!node) return null;
+    const { fieldNum, errorCode } = node.fields;
+    return { fieldNum, errorCode, errorName: statusName(errorCode) };
+}
+
+// ParameterError node -> { parameterType, parameterName, errorCode, errorName, fieldError, parameterError }
+function decodeParameterError(node) {
+    if (!node) return null;
+    const { parameterType, errorCode } = node.fields;
+    return {
+        parameterType,
+        parameterName: parameterName(parameterType),
+        errorCode,
+        errorName: statusName(errorCode),
+        fieldError: decodeFieldError(childNamed(node, 'FieldError')),
+        parameterError: decodeParameterError(childNamed(node, 'ParameterError')),
+    };
+}
+
+// One-line summary of the nested error chain, outermost first
+function describeNested(fieldError, parameterError) {
+    const parts = [];
+    let paramError = parameterError;
+    if (fieldError) parts.push(`field ${fieldError.fieldNum}: ${fieldError.errorName}`);
+    while (paramError) {
+        parts.push(`in ${paramError.parameterName}: ${paramError.errorName}`);
+        if (paramError.fieldError) parts.push(`field ${paramError.fieldError.fieldNum}: ${paramError.fieldError.errorName}`);
+        paramError = paramError.parameterError;
+    }
+    return parts.join('; ');
+}
+
+class LLRPError extends Error {
+    constructor(message, {
+        statusCode = null,
+        errorDescription = null,
+        fieldError = null,
+        parameterError = null,
+        requestType = null,
+        messageId = null,
+        response = null,
+    } = {}) {
+        super(message);
+        this.name = 'LLRPError';
+        this.statusCode = statusCode;    // LLRPStatus code, null if not a status failure
+        this.statusName = statusCode === null ? null : statusName(statusCode);
+        this.description = STATUS_CODES[statusCode] ? STATUS_CODES[statusCode].description : null;
+        this.errorDescription = errorDescription;  // Free text from the reader, if any
+        this.fieldError = fieldError;            // Decoded FieldError, if any
+        this.parameterError = parameterError;    // Decoded ParameterError (may nest), if any
+        this.requestType = requestType;  // Message type of the request that failed
+        this.messageId = messageId;      // MessageID shared by request and response
+        this.response = response;        // Decoded response message, if one arrived
+    }
+
+    /**
+     * Build an error from a decoded LLRPStatus parameter.
+     * context prefixes the message, e.g. 'ADD_ROSPEC failed'.
+     */
+    static fromStatus(status, context, details = {}) {
+        const { statusCode, errorDescription } = status.fields;
+        const fieldError = decodeFieldError(childNamed(status, 'FieldError'));
+        const parameterError = decodeParameterError(childNamed(status, 'ParameterError'));
+
+        let message = `${context}: ${statusName(statusCode)} (${statusCode})`;
+        if (errorDescription) message += ` - "${errorDescription}"`;
+        const nested = describeNested(fieldError, parameterError);
+        if (nested) message += ` [${nested}]`;
+
+        return new LLRPError(message, {
+            ...details, statusCode, errorDescription: errorDescription || null, fieldError, parameterError,
+        });
+    }
+}
+
+// No response with a matching MessageID arrived in time
+class LLRPTimeoutError extends LLRPError {
+    constructor(message, { timeoutMs, ...details } = {}) {
+        super(message, details);
+        this.name = 'LLRPTimeoutError';
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+// Request could not be sent, or the connection closed before the response
+class LLRPConnectionError extends LLRPError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'LLRPConnectionError';
+    }
+}
+
+// A step of the startup sequence failed; cause holds the underlying error
+class LLRPStartupError extends LLRPError {
+    constructor(message, { step, variant = null, cause } = {}) {
+        super(message, {
+            statusCode: cause?.statusCode ?? null,
+            errorDescription: cause?.errorDescription ?? null,
+            fieldError: cause?.fieldError ?? null,
+            parameterError: cause?.parameterError ?? null,
+            requestType: cause?.requestType ?? null,
+            messageId: cause?.messageId ?? null,
+            response: cause?.response ?? null,
+        });
+        this.name = 'LLRPStartupError';
+        this.step = step;        // e.g. 'ADD_ROSPEC'
+        this.variant = variant;  // ROSpec variant name, if the step installs a ROSpec
+        this.cause = cause;
+    }
+}
+
+module.exports = { LLRPError, LLRPTimeoutError, LLRPConnectionError, LLRPStartupError };
@@ -0,0 +1,121 @@
+/**
+ * LLRP frame reassembly
+ * Splits the TCP byte stream into complete LLRP messages without trusting
+ * the header blindly: the version, reserved bits and length are validated
+ * before anything is buffered for a frame.
+ *
+ * Events:
+ *   'message'        (frame: Buffer)  one complete message, header included
+ *   'protocolError'  ({ reason, version, type, length, messageId })  bad header found,
+ *                    repeated for every resyncWindow bytes skipped without a valid header
+ *   'resync'         ({ skipped })  next valid header found after a protocolError
+ *
+ * Incoming chunks are queued as-is; bytes are only copied when a frame
+ * spans several chunks.
+ */
+
+const EventEmitter = require('events');
+const { HEADER_LENGTH, decodeHeader } = require('./llrp-codec');
+
+const SUPPORTED_VERSIONS = [1, 2];  // LLRP 1.0.1, LLRP 1.1
+const DEFAULT_MAX_MESSAGE_LENGTH = 1024 * 1024;
+const DEFAULT_RESYNC_WINDOW = 4096;
+
+class LLRPFramer extends EventEmitter {
+    constructor({
+        maxMessageLength = DEFAULT_MAX_MESSAGE_LENGTH,
+        versions = SUPPORTED_VERSIONS,
+        resyncWindow = DEFAULT_RESYNC_WINDOW,
+    } = {}) {
+        super();
+        this.maxMessageLength = maxMessageLength;
+        this.resyncWindow = resyncWindow;
+        this.versions = versions;
+        this.chunks = [];
+        this.length = 0;      // Total bytes queued in chunks
+        this.skipped = null;  // Bytes dropped while resyncing, null when in sync
+    }
+
+    reset() {
+        this.chunks = [];
+        this.length = 0;
+        this.skipped = null;
+    }
+
+    push(chunk) {
+        if (chunk.length === 0) return;
+        this.chunks.push(chunk);
+        this.length += chunk.length;
+
+        while (this.length >= HEADER_LENGTH) {
+            const header = decodeHeader(this.peek(HEADER_LENGTH));
+            const reason = this.validate(header);
+
+            if (reason) {
+                // Drop one byte and look for the next plausible header
+                if (this.skipped === null) {
+                    this.skipped = 0;
+                    this.emit('protocolError', { reason, ...header });
+                }
+                this.skip(1);
+                this.skipped++;
+                // A long stretch without any valid header: probably not LLRP at all
+                if (this.skipped % this.resyncWindow === 0) {
+                    this.emit('protocolError', { reason: `no valid header in ${this.skipped} bytes`, ...header });
+                }
+                continue;
+            }
+
+            if (this.length < header.length) break;  // Wait for the rest of the frame
+
+            if (this.skipped !== null) {
+                this.emit('resync', { skipped: this.skipped });
+                this.skipped = null;
+            }
+            this.emit('message', this.take(header.length));
+        }
+    }
+
+    // Reason the header cannot start a frame, or null if it can
+    validate(header) {
+        if (this.peek(1)[0] & 0xE0) return 'reserved header bits set';
+        if (!this.versions.includes(header.version)) return `unsupported version ${header.version}`;
+        if (header.length < HEADER_LENGTH) return `length ${header.length} below header size`;
+        if (header.length > this.maxMessageLength) return `length ${header.length} exceeds ${this.maxMessageLength}`;
+        return null;
+    }
+
+    // First n queued bytes (n <= this.length), copied only if they span chunks
+    peek(n) {
+        if (this.chunks[0].length >= n) return this.chunks[0].subarray(0, n);
+        const parts = [];
+        let remaining = n;
+        for (const chunk of this.chunks) {
+            parts.push(chunk.subarray(0, remaining));
+            remaining -= Math.min(remaining, chunk.length);
+            if (remaining === 0) break;
+        }
+        return Buffer.concat(parts, n);
+    }
+
+    take(n) {
+        const bytes = this.peek(n);
+        this.skip(n);
+        return bytes;
+    }
+
+    skip(n) {
+        this.length -= n;
+        while (n > 0) {
+            const first = this.chunks[0];
+            if (first.length > n) {
+                this.chunks[0] = first.subarray(n);
+                return;
+            }
+            n -= first.length;
+            this.chunks.shift();
+        }
+    }
+}
+
+module.exports = { LLRPFramer, SUPPORTED_VERSIONS, DEFAULT_MAX_MESSAGE_LENGTH, DEFAULT_RESYNC_WINDOW };
@@ -0,0 +1,438 @@
+/**
+ * LLRP message and parameter definitions
+ * Table-driven layout used by llrp-codec.js to decode and encode frames.
+ * Adding support for a parameter means adding an entry here, not offset math.
+ *
+ * Field types:
+ * - u1..u7          N-bit unsigned packed MSB first (u1 decodes to a boolean)
+ * - u8/u16/u32/u64  Unsigned big-endian integers (u64 decodes to BigInt)
+ * - s8/s16          Signed big-endian integers
+ * - u96             96-bit value as uppercase hex (EPC-96)
+ * - u1v             Bit count (u16) + bits, decodes to { bitCount, hex }
+ * - u8v/u16v/u32v   Item count (u16) + items, decodes to an array of numbers
+ * - utf8v           Byte count (u16) + UTF-8 string
+ * - bytes           Remainder of the parameter as a Buffer
+ */
+
+const field = (name, type) => ({ name, type });
+const reserved = (bits) => ({ name: null, type: 'reserved', bits });
+
+// LLRP Message Types
+const MSG = {
+    GET_READER_CAPABILITIES: 1,
+    GET_READER_CAPABILITIES_RESPONSE: 11,
+    GET_SUPPORTED_VERSION: 46,  // LLRP 1.1
+    GET_SUPPORTED_VERSION_RESPONSE: 56,
+    SET_PROTOCOL_VERSION: 47,  // LLRP 1.1
+    SET_PROTOCOL_VERSION_RESPONSE: 57,
+    GET_READER_CONFIG: 2,
+    GET_READER_CONFIG_RESPONSE: 12,
+    ENABLE_EVENTS_AND_REPORTS: 64,  // No response message
+    GET_REPORT: 60,  // Answered with RO_ACCESS_REPORT
+    ADD_ROSPEC: 20,
+    ADD_ROSPEC_RESPONSE: 30,
+    DELETE_ROSPEC: 21,
+    DELETE_ROSPEC_RESPONSE: 31,
+    START_ROSPEC: 22,
+    START_ROSPEC_RESPONSE: 32,
+    STOP_ROSPEC: 23,
+    STOP_ROSPEC_RESPONSE: 33,
+    ENABLE_ROSPEC: 24,
+    ENABLE_ROSPEC_RESPONSE: 34,
+    DISABLE_ROSPEC: 25,
+    DISABLE_ROSPEC_RESPONSE: 35,
+    ADD_ACCESSSPEC: 40,
+    ADD_ACCESSSPEC_RESPONSE: 50,
+    DELETE_ACCESSSPEC: 41,
+    DELETE_ACCESSSPEC_RESPONSE: 51,
+    ENABLE_ACCESSSPEC: 42,
+    ENABLE_ACCESSSPEC_RESPONSE: 52,
+    DISABLE_ACCESSSPEC: 43,
+    DISABLE_ACCESSSPEC_RESPONSE: 53,
+    SET_READER_CONFIG: 3,
+    SET_READER_CONFIG_RESPONSE: 13,
+    READER_EVENT_NOTIFICATION: 63,
+    RO_ACCESS_REPORT: 61,
+    KEEPALIVE: 62,
+    KEEPALIVE_ACK: 72,
+    CLOSE_CONNECTION: 14,
+    CLOSE_CONNECTION_RESPONSE: 4,
+    ERROR_MESSAGE: 100,
+    CUSTOM_MESSAGE: 1023,  // Vendor extension, the response is a CUSTOM_MESSAGE too
+};
+
+// Message bodies: fixed fields, followed by parameters
+const MESSAGES = {
+    [MSG.GET_READER_CAPABILITIES]: { name: 'GET_READER_CAPABILITIES', fields: [field('requestedData', 'u8')] },
+    [MSG.GET_READER_CAPABILITIES_RESPONSE]: { name: 'GET_READER_CAPABILITIES_RESPONSE', fields: [] },
+    [MSG.ENABLE_EVENTS_AND_REPORTS]: { name: 'ENABLE_EVENTS_AND_REPORTS', fields: [] },
+    [MSG.GET_REPORT]: { name: 'GET_REPORT', fields: [] },
+    [MSG.GET_SUPPORTED_VERSION]: { name: 'GET_SUPPORTED_VERSION', fields: [] },
+    [MSG.GET_SUPPORTED_VERSION_RESPONSE]: {
+        name: 'GET_SUPPORTED_VERSION_RESPONSE',
+        fields: [field('currentVersion', 'u8'), field('supportedVersion', 'u8')],
+    },
+    [MSG.SET_PROTOCOL_VERSION]: { name: 'SET_PROTOCOL_VERSION', fields: [field('protocolVersion', 'u8')] },
+    [MSG.SET_PROTOCOL_VERSION_RESPONSE]: { name: 'SET_PROTOCOL_VERSION_RESPONSE', fields: [] },
+    [MSG.GET_READER_CONFIG]: {
+        name: 'GET_READER_CONFIG',
+        fields: [field('antennaId', 'u16'), field('requestedData', 'u8'), field('gpiPortNum', 'u16'), field('gpoPortNum', 'u16')],
+    },
+    [MSG.GET_READER_CONFIG_RESPONSE]: { name: 'GET_READER_CONFIG_RESPONSE', fields: [] },
+    [MSG.ADD_ROSPEC]: { name: 'ADD_ROSPEC', fields: [] },
+    [MSG.ADD_ROSPEC_RESPONSE]: { name: 'ADD_ROSPEC_RESPONSE', fields: [] },
+    [MSG.DELETE_ROSPEC]: { name: 'DELETE_ROSPEC', fields: [field('roSpecId', 'u32')] },
+    [MSG.DELETE_ROSPEC_RESPONSE]: { name: 'DELETE_ROSPEC_RESPONSE', fields: [] },
+    [MSG.START_ROSPEC]: { name: 'START_ROSPEC', fields: [field('roSpecId', 'u32')] },
+    [MSG.START_ROSPEC_RESPONSE]: { name: 'START_ROSPEC_RESPONSE', fields: [] },
+    [MSG.STOP_ROSPEC]: { name: 'STOP_ROSPEC', fields: [field('roSpecId', 'u32')] },
+    [MSG.STOP_ROSPEC_RESPONSE]: { name: 'STOP_ROSPEC_RESPONSE', fields: [] },
+    [MSG.ENABLE_ROSPEC]: { name: 'ENABLE_ROSPEC', fields: [field('roSpecId', 'u32')] },
+    [MSG.ENABLE_ROSPEC_RESPONSE]: { name: 'ENABLE_ROSPEC_RESPONSE', fields: [] },
+    [MSG.DISABLE_ROSPEC]: { name: 'DISABLE_ROSPEC', fields: [field('roSpecId', 'u32')] },
+    [MSG.DISABLE_ROSPEC_RESPONSE]: { name: 'DISABLE_ROSPEC_RESPONSE', fields: [] },
+    [MSG.ADD_ACCESSSPEC]: { name: 'ADD_ACCESSSPEC', fields: [] },
+    [MSG.ADD_ACCESSSPEC_RESPONSE]: { name: 'ADD_ACCESSSPEC_RESPONSE', fields: [] },
+    [MSG.DELETE_ACCESSSPEC]: { name: 'DELETE_ACCESSSPEC', fields: [field('accessSpecId', 'u32')] },
+    [MSG.DELETE_ACCESSSPEC_RESPONSE]: { name: 'DELETE_ACCESSSPEC_RESPONSE', fields: [] },
+    [MSG.ENABLE_ACCESSSPEC]: { name: 'ENABLE_ACCESSSPEC', fields: [field('accessSpecId', 'u32')] },
+    [MSG.ENABLE_ACCESSSPEC_RESPONSE]: { name: 'ENABLE_ACCESSSPEC_RESPONSE', fields: [] },
+    [MSG.DISABLE_ACCESSSPEC]: { name: 'DISABLE_ACCESSSPEC', fields: [field('accessSpecId', 'u32')] },
+    [MSG.DISABLE_ACCESSSPEC_RESPONSE]: { name: 'DISABLE_ACCESSSPEC_RESPONSE', fields: [] },
+    [MSG.SET_READER_CONFIG]: { name: 'SET_READER_CONFIG', fields: [field('restoreFactorySettings', 'u1'), reserved(7)] },
+    [MSG.SET_READER_CONFIG_RESPONSE]: { name: 'SET_READER_CONFIG_RESPONSE', fields: [] },
+    [MSG.READER_EVENT_NOTIFICATION]: { name: 'READER_EVENT_NOTIFICATION', fields: [] },
+    [MSG.RO_ACCESS_REPORT]: { name: 'RO_ACCESS_REPORT', fields: [] },
+    [MSG.KEEPALIVE]: { name: 'KEEPALIVE', fields: [] },
+    [MSG.KEEPALIVE_ACK]: { name: 'KEEPALIVE_ACK', fields: [] },
+    [MSG.CLOSE_CONNECTION]: { name: 'CLOSE_CONNECTION', fields: [] },
+    [MSG.CLOSE_CONNECTION_RESPONSE]: { name: 'CLOSE_CONNECTION_RESPONSE', fields: [] },
+    [MSG.ERROR_MESSAGE]: { name: 'ERROR_MESSAGE', fields: [] },
+    [MSG.CUSTOM_MESSAGE]: {
+        name: 'CUSTOM_MESSAGE',
+        fields: [field('vendorIdentifier', 'u32'), field('messageSubtype', 'u8'), field('data', 'bytes')],
+    },
+};
+
+// TV-encoded parameters (types 1-127): 1-byte header, fixed length, no length field.
+// The length comes only from this table, so it must cover every TV type a reader can send.
+const TV_PARAMS = {
+    1: { name: 'AntennaID', fields: [field('antennaId', 'u16')] },
+    2: { name: 'FirstSeenTimestampUTC', fields: [field('microseconds', 'u64')] },
+    3: { name: 'FirstSeenTimestampUptime', fields: [field('microseconds', 'u64')] },
+    4: { name: 'LastSeenTimestampUTC', fields: [field('microseconds', 'u64')] },
+    5: { name: 'LastSeenTimestampUptime', fields: [field('microseconds', 'u64')] },
+    6: { name: 'PeakRSSI', fields: [field('peakRssi', 's8')] },
+    7: { name: 'ChannelIndex', fields: [field('channelIndex', 'u16')] },
+    8: { name: 'TagSeenCount', fields: [field('tagCount', 'u16')] },
+    9: { name: 'ROSpecID', fields: [field('roSpecId', 'u32')] },
+    10: { name: 'InventoryParameterSpecID', fields: [field('inventoryParameterSpecId', 'u16')] },
+    11: { name: 'C1G2CRC', fields: [field('crc', 'u16')] },
+    12: { name: 'C1G2PC', fields: [field('pcBits', 'u16')] },
+    13: { name: 'EPC_96', fields: [field('epc', 'u96')] },
+    14: { name: 'SpecIndex', fields: [field('specIndex', 'u16')] },
+    15: { name: 'ClientRequestOpSpecResult', fields: [field('opSpecId', 'u16')] },
+    16: { name: 'AccessSpecID', fields: [field('accessSpecId', 'u32')] },
+    17: { name: 'OpSpecID', fields: [field('opSpecId', 'u16')] },
+    18: { name: 'C1G2SingulationDetails', fields: [field('numCollisionSlots', 'u16'), field('numEmptySlots', 'u16')] },
+    19: { name: 'C1G2XPCW1', fields: [field('xpcW1', 'u16')] },  // LLRP 1.1
+    20: { name: 'C1G2XPCW2', fields: [field('xpcW2', 'u16')] },  // LLRP 1.1
+};
+
+// TLV-encoded parameters (types 128-1023): 4-byte header with length, may nest
+const TLV_PARAMS = {
+    128: { name: 'UTCTimestamp', fields: [field('microseconds', 'u64')] },
+    129: { name: 'Uptime', fields: [field('microseconds', 'u64')] },
+
+    // Reader capabilities
+    137: {
+        name: 'GeneralDeviceCapabilities',
+        fields: [
+            field('maxNumberOfAntennaSupported', 'u16'),
+            field('canSetAntennaProperties', 'u1'),
+            field('hasUtcClockCapability', 'u1'),
+            reserved(14),
+            field('deviceManufacturerName', 'u32'),
+            field('modelName', 'u32'),
+            field('readerFirmwareVersion', 'utf8v'),
+        ],
+    },
+    139: { name: 'ReceiveSensitivityTableEntry', fields: [field('index', 'u16'), field('receiveSensitivityValue', 's16')] },
+    140: { name: 'PerAntennaAirProtocol', fields: [field('antennaId', 'u16'), field('protocolIds', 'u8v')] },
+    141: { name: 'GPIOCapabilities', fields: [field('numGpis', 'u16'), field('numGpos', 'u16')] },
+    142: {
+        name: 'LLRPCapabilities',
+        fields: [
+            field('canDoRfSurvey', 'u1'),
+            field('canReportBufferFillWarning', 'u1'),
+            field('supportsClientRequestOpSpec', 'u1'),
+            field('canDoTagInventoryStateAwareSingulation', 'u1'),
+            field('supportsEventAndReportHolding', 'u1'),
+            reserved(3),
+            field('maxNumPriorityLevelsSupported', 'u8'),
+            field('clientRequestOpSpecTimeout', 'u16'),
+            field('maxNumRoSpecs', 'u32'),
+            field('maxNumSpecsPerRoSpec', 'u32'),
+            field('maxNumInventoryParameterSpecsPerAiSpec', 'u32'),
+            field('maxNumAccessSpecs', 'u32'),
+            field('maxNumOpSpecsPerAccessSpec', 'u32'),
+        ],
+    },
+    143: { name: 'RegulatoryCapabilities', fields: [field('countryCode', 'u16'), field('communicationsStandard', 'u16')] },
+    144: { name: 'UHFBandCapabilities', fields: [] },
+    145: { name: 'TransmitPowerLevelTableEntry', fields: [field('index', 'u16'), field('transmitPowerValue', 's16')] },
+    146: { name: 'FrequencyInformation', fields: [field('hopping', 'u1'), reserved(7)] },
+    147: { name: 'FrequencyHopTable', fields: [field('hopTableId', 'u8'), reserved(8), field('frequencies', 'u32v')] },
+    148: { name: 'FixedFrequencyTable', fields: [field('frequencies', 'u32v')] },
+    149: {
+        name: 'PerAntennaReceiveSensitivityRange',
+        fields: [field('antennaId', 'u16'), field('receiveSensitivityIndexMin', 'u16'), field('receiveSensitivityIndexMax', 'u16')],
+    },
+
+    // Reader Operations
+    177: { name: 'ROSpec', fields: [field('roSpecId', 'u32'), field('priority', 'u8'), field('currentState', 'u8')] },
+    178: { name: 'ROBoundarySpec', fields: [] },
+    179: { name: 'ROSpecStartTrigger', fields: [field('roSpecStartTriggerType', 'u8')] },
+    180: { name: 'PeriodicTriggerValue', fields: [field('offset', 'u32'), field('period', 'u32')] },
+    181: { name: 'GPITriggerValue', fields: [field('gpiPortNum', 'u16'), field('gpiEvent', 'u1'), reserved(7), field('timeout', 'u32')] },
+    182: { name: 'ROSpecStopTrigger', fields: [field('roSpecStopTriggerType', 'u8'), field('durationTriggerValue', 'u32')] },
+    183: { name: 'AISpec', fields: [field('antennaIds', 'u16v')] },
+    184: { name: 'AISpecStopTrigger', fields: [field('aiSpecStopTriggerType', 'u8'), field('durationTrigger', 'u32')] },
+    185: {
+        name: 'TagObservationTrigger',
+        fields: [
+            field('triggerType', 'u8'),
+            reserved(8),
+            field('numberOfTags', 'u16'),
+            field('numberOfAttempts', 'u16'),
+            field('t', 'u16'),
+            field('timeout', 'u32'),
+        ],
+    },
+    186: { name: 'InventoryParameterSpec', fields: [field('inventoryParameterSpecId', 'u16'), field('protocolId', 'u8')] },
+    355: { name: 'LoopSpec', fields: [field('loopCount', 'u32')] },  // LLRP 1.1
+
+    // Access operations
+    207: {
+        name: 'AccessSpec',
+        fields: [
+            field('accessSpecId', 'u32'),
+            field('antennaId', 'u16'),
+            field('protocolId', 'u8'),
+            field('currentState', 'u1'),
+            reserved(7),
+            field('roSpecId', 'u32'),
+        ],
+    },
+    208: { name: 'AccessSpecStopTrigger', fields: [field('accessSpecStopTriggerType', 'u8'), field('operationCountValue', 'u16')] },
+    209: { name: 'AccessCommand', fields: [] },
+
+    // Reader configuration
+    217: { name: 'LLRPConfigurationStateValue', fields: [field('llrpConfigurationStateValue', 'u32')] },
+    218: { name: 'Identification', fields: [field('idType', 'u8'), field('readerId', 'u8v')] },
+    219: { name: 'GPOWriteData', fields: [field('gpoPortNumber', 'u16'), field('gpoData', 'u1'), reserved(7)] },
+    220: { name: 'KeepaliveSpec', fields: [field('keepaliveTriggerType', 'u8'), field('periodicTriggerValue', 'u32')] },
+    221: { name: 'AntennaProperties', fields: [field('antennaConnected', 'u1'), reserved(7), field('antennaId', 'u16'), field('antennaGain', 's16')] },
+    222: { name: 'AntennaConfiguration', fields: [field('antennaId', 'u16')] },
+    223: { name: 'RFReceiver', fields: [field('receiverSensitivity', 'u16')] },
+    224: { name: 'RFTransmitter', fields: [field('hopTableId', 'u16'), field('channelIndex', 'u16'), field('transmitPower', 'u16')] },
+    225: { name: 'GPIPortCurrentState', fields: [field('gpiPortNum', 'u16'), field('gpiConfig', 'u1'), reserved(7), field('gpiState', 'u8')] },
+    226: { name: 'EventsAndReports', fields: [field('holdEventsAndReportsUponReconnect', 'u1'), reserved(7)] },
+
+    // Reports
+    237: { name: 'ROReportSpec', fields: [field('roReportTrigger', 'u8'), field('n', 'u16')] },
+    238: {
+        name: 'TagReportContentSelector',
+        fields: [
+            field('enableRoSpecId', 'u1'),
+            field('enableSpecIndex', 'u1'),
+            field('enableInventoryParameterSpecId', 'u1'),
+            field('enableAntennaId', 'u1'),
+            field('enableChannelIndex', 'u1'),
+            field('enablePeakRssi', 'u1'),
+            field('enableFirstSeenTimestamp', 'u1'),
+            field('enableLastSeenTimestamp', 'u1'),
+            field('enableTagSeenCount', 'u1'),
+            field('enableAccessSpecId', 'u1'),
+            reserved(6),
+        ],
+    },
+    239: { name: 'AccessReportSpec', fields: [field('accessReportTrigger', 'u8')] },
+    240: { name: 'TagReportData', fields: [] },
+    241: { name: 'EPCData', fields: [field('epc', 'u1v')] },
+
+    // Reader event notifications
+    244: { name: 'ReaderEventNotificationSpec', fields: [] },
+    245: { name: 'EventNotificationState', fields: [field('eventType', 'u16'), field('notificationState', 'u1'), reserved(7)] },
+    246: { name: 'ReaderEventNotificationData', fields: [] },
+    247: { name: 'HoppingEvent', fields: [field('hopTableId', 'u16'), field('nextChannelIndex', 'u16')] },
+    248: { name: 'GPIEvent', fields: [field('gpiPortNumber', 'u16'), field('gpiEvent', 'u1'), reserved(7)] },
+    249: { name: 'ROSpecEvent', fields: [field('eventType', 'u8'), field('roSpecId', 'u32'), field('preemptingRoSpecId', 'u32')] },
+    250: { name: 'ReportBufferLevelWarningEvent', fields: [field('reportBufferPercentageFull', 'u8')] },
+    251: { name: 'ReportBufferOverflowErrorEvent', fields: [] },
+    252: { name: 'ReaderExceptionEvent', fields: [field('message', 'utf8v')] },
+    254: { name: 'AISpecEvent', fields: [field('eventType', 'u8'), field('roSpecId', 'u32'), field('specIndex', 'u16')] },
+    255: { name: 'AntennaEvent', fields: [field('eventType', 'u8'), field('antennaId', 'u16')] },
+    256: { name: 'ConnectionAttemptEvent', fields: [field('status', 'u16')] },
+    257: { name: 'ConnectionCloseEvent', fields: [] },
+
+    // Status and errors
+    287: { name: 'LLRPStatus', fields: [field('statusCode', 'u16'), field('errorDescription', 'utf8v')] },
+    288: { name: 'FieldError', fields: [field('fieldNum', 'u16'), field('errorCode', 'u16')] },
+    289: { name: 'ParameterError', fields: [field('parameterType', 'u16'), field('errorCode', 'u16')] },
+
+    // EPC Class 1 Gen 2 air protocol
+    327: { name: 'C1G2LLRPCapabilities', fields: [field('canSupportBlockErase', 'u1'), field('canSupportBlockWrite', 'u1'), reserved(6), field('maxNumSelectFiltersPerQuery', 'u16')] },
+    328: { name: 'UHFC1G2RFModeTable', fields: [] },
+    329: {
+        name: 'UHFC1G2RFModeTableEntry',
+        fields: [
+            field('modeIdentifier', 'u32'),
+            field('drValue', 'u1'),
+            field('epcHagTcConformance', 'u1'),
+            reserved(6),
+            field('mValue', 'u8'),
+            field('forwardLinkModulation', 'u8'),
+            field('spectralMaskIndicator', 'u8'),
+            field('bdrValue', 'u32'),
+            field('pieValue', 'u32'),
+            field('minTariValue', 'u32'),
+            field('maxTariValue', 'u32'),
+            field('stepTariValue', 'u32'),
+        ],
+    },
+    330: { name: 'C1G2InventoryCommand', fields: [field('tagInventoryStateAware', 'u1'), reserved(7)] },
+    331: { name: 'C1G2Filter', fields: [field('t', 'u2'), reserved(6)] },
+    332: { name: 'C1G2TagInventoryMask', fields: [field('mb', 'u2'), reserved(6), field('pointer', 'u16'), field('tagMask', 'u1v')] },
+    333: { name: 'C1G2TagInventoryStateAwareFilterAction', fields: [field('target', 'u8'), field('action', 'u8')] },
+    334: { name: 'C1G2TagInventoryStateUnawareFilterAction', fields: [field('action', 'u8')] },
+    335: { name: 'C1G2RFControl', fields: [field('modeIndex', 'u16'), field('tari', 'u16')] },
+    336: { name: 'C1G2SingulationControl', fields: [field('session', 'u2'), reserved(6), field('tagPopulation', 'u16'), field('tagTransitTime', 'u32')] },
+    337: { name: 'C1G2TagInventoryStateAwareSingulationAction', fields: [field('i', 'u1'), field('s', 'u1'), reserved(6)] },
+    338: { name: 'C1G2TagSpec', fields: [] },
+    339: {
+        name: 'C1G2TargetTag',
+        fields: [field('mb', 'u2'), field('match', 'u1'), reserved(5), field('pointer', 'u16'), field('tagMask', 'u1v'), field('tagData', 'u1v')],
+    },
+    341: {
+        name: 'C1G2Read',
+        fields: [
+            field('opSpecId', 'u16'),
+            field('accessPassword', 'u32'),
+            field('mb', 'u2'),
+            reserved(6),
+            field('wordPointer', 'u16'),
+            field('wordCount', 'u16'),
+        ],
+    },
+    342: {
+        name: 'C1G2Write',
+        fields: [
+            field('opSpecId', 'u16'),
+            field('accessPassword', 'u32'),
+            field('mb', 'u2'),
+            reserved(6),
+            field('wordPointer', 'u16'),
+            field('writeData', 'u16v'),
+        ],
+    },
+    343: { name: 'C1G2Kill', fields: [field('opSpecId', 'u16'), field('killPassword', 'u32')] },
+    344: { name: 'C1G2Lock', fields: [field('opSpecId', 'u16'), field('accessPassword', 'u32')] },
+    345: { name: 'C1G2LockPayload', fields: [field('privilege', 'u8'), field('dataField', 'u8')] },
+    347: {
+        name: 'C1G2BlockWrite',
+        fields: [
+            field('opSpecId', 'u16'),
+            field('accessPassword', 'u32'),
+            field('mb', 'u2'),
+            reserved(6),
+            field('wordPointer', 'u16'),
+            field('writeData', 'u16v'),
+        ],
+    },
+    348: { name: 'C1G2EPCMemorySelector', fields: [field('enableCrc', 'u1'), field('enablePcBits', 'u1'), reserved(6)] },
+    349: { name: 'C1G2ReadOpSpecResult', fields: [field('result', 'u8'), field('opSpecId', 'u16'), field('readData', 'u16v')] },
+    350: { name: 'C1G2WriteOpSpecResult', fields: [field('result', 'u8'), field('opSpecId', 'u16'), field('numWordsWritten', 'u16')] },
+    351: { name: 'C1G2KillOpSpecResult', fields: [field('result', 'u8'), field('opSpecId', 'u16')] },
+    352: { name: 'C1G2LockOpSpecResult', fields: [field('result', 'u8'), field('opSpecId', 'u16')] },
+    354: { name: 'C1G2BlockWriteOpSpecResult', fields: [field('result', 'u8'), field('opSpecId', 'u16'), field('numWordsWritten', 'u16')] },
+
+    // Vendor extensions
+    1023: { name: 'Custom', fields: [field('vendorIdentifier', 'u32'), field('parameterSubtype', 'u32'), field('data', 'bytes')] },
+};
+
+// LLRPStatus / FieldError / ParameterError codes
+const STATUS_CODES = {
+    0: { name: 'M_Success', description: 'Message processed successfully' },
+    100: { name: 'M_ParameterError', description: 'Error in a parameter of the message' },
+    101: { name: 'M_FieldError', description: 'Error in a field of the message' },
+    102: { name: 'M_UnexpectedParameter', description: 'Unexpected parameter in the message' },
+    103: { name: 'M_MissingParameter', description: 'Required parameter missing from the message' },
+    104: { name: 'M_DuplicateParameter', description: 'Parameter repeated more often than allowed' },
+    105: { name: 'M_OverflowParameter', description: 'More instances of a parameter than the reader supports' },
+    106: { name: 'M_OverflowField', description: 'Field value exceeds what the reader supports' },
+    107: { name: 'M_UnknownParameter', description: 'Unknown parameter in the message' },
+    108: { name: 'M_UnknownField', description: 'Unknown field in the message' },
+    109: { name: 'M_UnsupportedMessage', description: 'Message type not supported by the reader' },
+    110: { name: 'M_UnsupportedVersion', description: 'LLRP version not supported by the reader' },
+    111: { name: 'M_UnsupportedParameter', description: 'Parameter not supported by the reader' },
+    112: { name: 'M_UnexpectedMessage', description: 'Message not expected in the current protocol state' },
+    200: { name: 'P_ParameterError', description: 'Error in a sub-parameter' },
+    201: { name: 'P_FieldError', description: 'Error in a field of the parameter' },
+    202: { name: 'P_UnexpectedParameter', description: 'Unexpected sub-parameter' },
+    203: { name: 'P_MissingParameter', description: 'Required sub-parameter missing' },
+    204: { name: 'P_DuplicateParameter', description: 'Sub-parameter repeated more often than allowed' },
+    205: { name: 'P_OverflowParameter', description: 'More instances of a sub-parameter than the reader supports' },
+    206: { name: 'P_OverflowField', description: 'Field value exceeds what the reader supports' },
+    207: { name: 'P_UnknownParameter', description: 'Unknown sub-parameter' },
+    208: { name: 'P_UnknownField', description: 'Unknown field in the parameter' },
+    209: { name: 'P_UnsupportedParameter', description: 'Sub-parameter not supported by the reader' },
+    300: { name: 'A_Invalid', description: 'Field value is invalid' },
+    301: { name: 'A_OutOfRange', description: 'Field value is out of range' },
+    401: { name: 'R_DeviceError', description: 'Reader device error' },
+};
+
+// C1G2 OpSpecResult result codes, by result parameter name
+const OP_RESULT_CODES = {
+    C1G2ReadOpSpecResult: {
+        0: 'Success',
+        1: 'Nonspecific tag error',
+        2: 'No response from tag',
+        3: 'Nonspecific reader error',
+        4: 'Memory overrun error',
+        5: 'Memory locked error',
+        6: 'Incorrect password error',
+    },
+    C1G2WriteOpSpecResult: {
+        0: 'Success',
+        1: 'Tag memory overrun error',
+        2: 'Tag memory locked error',
+        3: 'Insufficient power',
+        4: 'Nonspecific tag error',
+        5: 'No response from tag',
+        6: 'Nonspecific reader error',
+        7: 'Incorrect password error',
+    },
+    C1G2KillOpSpecResult: {
+        0: 'Success',
+        1: 'Zero kill password error',
+        2: 'Insufficient power',
+        3: 'Nonspecific tag error',
+        4: 'No response from tag',
+        5: 'Nonspecific reader error',
+        6: 'Incorrect password error',
+    },
+    C1G2LockOpSpecResult: {
+        0: 'Success',
+        1: 'Insufficient power',
+        2: 'Nonspecific tag error',
+        3: 'No response from tag',
+        4: 'Nonspecific reader error',
+        5: 'Incorrect password error',
+        6: 'Tag memory overrun error',
+        7: 'Tag memory locked error',
+    },
+};
+OP_RESULT_CODES.C1G2BlockWriteOpSpecResult = OP_RESULT_CODES.C1G2WriteOpSpecResult;
+
+module.exports = { MSG, MESSAGES, TV_PARAMS, TLV_PARAMS, STATUS_CODES, OP_RESULT_CODES };
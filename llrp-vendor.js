@@ -0,0 +1,228 @@
+/**
+ * Vendor LLRP extensions
+ * Builds the Custom parameters that ask a reader for vendor-specific report
+ * content or inventory behaviour, and decodes the Custom parameters it then
+ * adds to each TagReportData.
+ *
+ * Profiles are keyed by LLRP VendorID, the IANA enterprise number readers
+ * report as GeneralDeviceCapabilities DeviceManufacturerName.
+ *
+ * Report content names and where the decoded values land on the tag:
+ *   phase          tag.phase, RF phase angle in radians (0 to 2π)
+ *   doppler        tag.dopplerHz, Doppler frequency shift
+ *   peakRssi       tag.rssi, peak RSSI to 0.01 dBm (replaces the whole-dBm PeakRSSI)
+ *   serializedTid  tag.tid, TID memory as a hex string
+ * Only Impinj content can be enabled; Zebra readers are only decoded (peak RSSI).
+ *
+ * Zebra phase, Doppler and antenna-specific report data, and the ROSpec extension
+ * enabling them, are not implemented: their Custom subtypes and payload layouts need
+ * Zebra's LLRP extension reference or captured FX frames, which we do not have yet.
+ *
+ * Inventory options (added to each C1G2InventoryCommand):
+ *   { searchMode }  Impinj search mode, an IMPINJ_SEARCH_MODES key
+ */
+
+const { param } = require('./llrp-codec');
+
+const VENDOR_IDS = { zebra: 161, impinj: 25882 };
+
+const customParam = (vendorIdentifier, parameterSubtype, data = Buffer.alloc(0), params = []) =>
+    param('Custom', { vendorIdentifier, parameterSubtype, data }, params);
+
+const u16 = (value) => {
+    const data = Buffer.alloc(2);
+    data.writeUInt16BE(value, 0);
+    return data;
+};
+
+// Zebra / Motorola Solutions Custom parameter subtypes, as seen from FX9600 firmware.
+// Add others only with a source (Zebra's LLRP extension reference or a captured frame).
+const ZEBRA_SUBTYPES = {
+    peakRssi: 0x2C5,
+};
+
+// Impinj Octane Custom parameter and message subtypes
+const IMPINJ_SUBTYPES = {
+    enableExtensions: 21,  // CUSTOM_MESSAGE, answered by subtype 22
+    inventorySearchMode: 23,
+    tagReportContentSelector: 50,
+    enableSerializedTid: 51,
+    enableRfPhaseAngle: 52,
+    enablePeakRssi: 53,
+    serializedTid: 55,
+    rfPhaseAngle: 56,
+    peakRssi: 57,
+    enableRfDopplerFrequency: 67,
+    rfDopplerFrequency: 68,
+};
+
+// Report content -> ImpinjEnable* parameter inside ImpinjTagReportContentSelector
+const IMPINJ_CONTENT = {
+    serializedTid: IMPINJ_SUBTYPES.enableSerializedTid,
+    phase: IMPINJ_SUBTYPES.enableRfPhaseAngle,
+    peakRssi: IMPINJ_SUBTYPES.enablePeakRssi,
+    doppler: IMPINJ_SUBTYPES.enableRfDopplerFrequency,
+};
+
+// ImpinjInventorySearchMode values
+const IMPINJ_SEARCH_MODES = {
+    readerSelected: 0,
+    singleTarget: 1,
+    dualTarget: 2,
+    singleTargetWithSuppression: 3,  // TagFocus
+    singleTargetReset: 5,
+    dualTargetBtoASelect: 6,
+};
+
+// Shared payload decoders: Custom parameter data -> properties assigned to the tag
+const phaseAngle = (data) => ({ phase: data.readUInt16BE(0) / 4096 * 2 * Math.PI });  // 1/4096 of a turn
+const dopplerHz = (data) => ({ dopplerHz: data.readInt16BE(0) / 16 });  // 1/16 Hz
+const peakRssiPrecise = (data) => ({ peakRssiPrecise: data.readInt16BE(0) / 100 });  // 0.01 dBm
+
+// Subtype -> { minLength, decode }; shorter payloads are ignored
+const ZEBRA_DECODERS = {
+    [ZEBRA_SUBTYPES.peakRssi]: { minLength: 2, decode: peakRssiPrecise },
+};
+
+const IMPINJ_DECODERS = {
+    [IMPINJ_SUBTYPES.rfPhaseAngle]: { minLength: 2, decode: phaseAngle },
+    [IMPINJ_SUBTYPES.rfDopplerFrequency]: { minLength: 2, decode: dopplerHz },
+    [IMPINJ_SUBTYPES.peakRssi]: { minLength: 2, decode: peakRssiPrecise },
+    // TID word count, then the words (an ImpinjTIDParity parameter may follow)
+    [IMPINJ_SUBTYPES.serializedTid]: {
+        minLength: 2,
+        decode: (data) => {
+            const end = 2 + data.readUInt16BE(0) * 2;
+            return end <= data.length ? { tid: data.slice(2, end).toString('hex').toUpperCase() } : null;
+        },
+    },
+};
+
+const PROFILES = {
+    [VENDOR_IDS.zebra]: {
+        name: 'zebra',
+        // FX firmware reports peak RSSI without being asked; nothing to enable.
+        // Phase/Doppler/antenna content is pending a source for its subtypes (see the header)
+        reportContent: [],
+        inventoryOptions: [],
+        reportSelector: () => [],
+        inventoryCommand: () => [],
+        decoders: ZEBRA_DECODERS,
+        enableExtensions: null,
+    },
+    [VENDOR_IDS.impinj]: {
+        name: 'impinj',
+        reportContent: Object.keys(IMPINJ_CONTENT),
+        inventoryOptions: ['searchMode'],
+        // ImpinjTagReportContentSelector holding an ImpinjEnable* parameter (mode 1 = enabled) per content
+        reportSelector: (content) => [customParam(VENDOR_IDS.impinj, IMPINJ_SUBTYPES.tagReportContentSelector, undefined,
+            content.map(name => customParam(VENDOR_IDS.impinj, IMPINJ_CONTENT[name], u16(1))))],
+        inventoryCommand: ({ searchMode }) => {
+            if (searchMode === undefined) return [];
+            if (!(searchMode in IMPINJ_SEARCH_MODES)) throw new TypeError(`Unknown Impinj search mode '${searchMode}'`);
+            return [customParam(VENDOR_IDS.impinj, IMPINJ_SUBTYPES.inventorySearchMode, u16(IMPINJ_SEARCH_MODES[searchMode]))];
+        },
+        decoders: IMPINJ_DECODERS,
+        // Octane rejects Impinj parameters until IMPINJ_ENABLE_EXTENSIONS (4 reserved bytes) succeeds
+        enableExtensions: { messageSubtype: IMPINJ_SUBTYPES.enableExtensions, data: Buffer.alloc(4) },
+    },
+};
+
+// Profile for a VendorID, or null if its extensions are not supported
+function vendorProfile(vendorId) {
+    return PROFILES[vendorId] ?? null;
+}
+
+function requireProfile(vendorId) {
+    const profile = vendorProfile(vendorId);
+    if (!profile) throw new TypeError(`No extensions known for vendor ${vendorId}`);
+    return profile;
+}
+
+/**
+ * Custom parameters enabling the named report content on a reader from vendorId.
+ * Throws TypeError for content the vendor's profile does not offer.
+ */
+function buildVendorReportSelector(vendorId, content) {
+    const profile = requireProfile(vendorId);
+    for (const name of content) {
+        if (!profile.reportContent.includes(name)) {
+            const expected = profile.reportContent.length > 0 ? `expected ${profile.reportContent.join(', ')}` : 'none can be enabled';
+            throw new TypeError(`Unknown ${profile.name} report content '${name}' (${expected})`);
+        }
+    }
+    return profile.reportSelector(content);
+}
+
+/**
+ * Custom parameters for a C1G2InventoryCommand from inventory options.
+ * Throws TypeError for options the vendor's profile does not offer.
+ */
+function buildVendorInventoryCommand(vendorId, options) {
+    const profile = requireProfile(vendorId);
+    for (const name of Object.keys(options)) {
+        if (!profile.inventoryOptions.includes(name)) {
+            throw new TypeError(`Unknown ${profile.name} inventory option '${name}'`);
+        }
+    }
+    return profile.inventoryCommand(options);
+}
+
+/**
+ * Throw TypeError for report content or inventory options that no profile offers,
+ * or an option value rejected by every profile offering it, so typos fail before
+ * any reader is contacted. Content a given reader's profile lacks is filtered per
+ * reader instead (supportedReportContent / supportedInventoryOptions).
+ */
+function validateVendorConfig(content, options) {
+    const profiles = Object.values(PROFILES);
+    for (const name of content) {
+        if (!profiles.some(profile => profile.reportContent.includes(name))) {
+            const known = [...new Set(profiles.flatMap(profile => profile.reportContent))];
+            throw new TypeError(`Unknown vendor report content '${name}' (expected ${known.join(', ')})`);
+        }
+    }
+    for (const [name, value] of Object.entries(options)) {
+        const offering = profiles.filter(profile => profile.inventoryOptions.includes(name));
+        if (offering.length === 0) throw new TypeError(`Unknown vendor inventory option '${name}'`);
+        for (const profile of offering) profile.inventoryCommand({ [name]: value });
+    }
+}
+
+// The report content names vendorId's profile offers, in config order
+function supportedReportContent(vendorId, content) {
+    const profile = vendorProfile(vendorId);
+    return profile ? content.filter(name => profile.reportContent.includes(name)) : [];
+}
+
+// The inventory options vendorId's profile offers
+function supportedInventoryOptions(vendorId, options) {
+    const profile = vendorProfile(vendorId);
+    if (!profile) return {};
+    return Object.fromEntries(Object.entries(options).filter(([name]) => profile.inventoryOptions.includes(name)));
+}
+
+// CUSTOM_MESSAGE fields that enable the vendor's extensions, or null if none is needed
+function buildEnableExtensions(vendorId) {
+    const enable = vendorProfile(vendorId)?.enableExtensions;
+    return enable ? { vendorIdentifier: vendorId, ...enable } : null;
+}
+
+// Custom parameter fields -> tag properties, or null if not a known vendor extension
+function decodeVendorParam({ vendorIdentifier, parameterSubtype, data }) {
+    const decoder = vendorProfile(vendorIdentifier)?.decoders[parameterSubtype];
+    return decoder && data.length >= decoder.minLength ? decoder.decode(data) : null;
+}
+
+module.exports = {
+    VENDOR_IDS,
+    IMPINJ_SEARCH_MODES,
+    vendorProfile,
+    buildVendorReportSelector,
+    buildVendorInventoryCommand,
+    validateVendorConfig,
+    supportedReportContent,
+    supportedInventoryOptions,
+    buildEnableExtensions,
+    decodeVendorParam,
+};
@@ -18,6 +18,16 @@ const timerEl = document.getElementById('timer');
 const tagCountEl = document.getElementById('tagCount');
 const statusDot = document.getElementById('statusDot');
 const statusText = document.getElementById('statusText');
+const errorBanner = document.getElementById('errorBanner');
+const errorTitle = document.getElementById('errorTitle');
+const errorDetail = document.getElementById('errorDetail');
+const triggerMode = document.getElementById('triggerMode');
+const triggerPeriod = document.getElementById('triggerPeriod');
+const triggerDuration = document.getElementById('triggerDuration');
+const triggerCount = document.getElementById('triggerCount');
+const triggerGpiPort = document.getElementById('triggerGpiPort');
+const triggerFields = document.querySelectorAll('.trigger-field');
+const inventoryBtn = document.getElementById('inventoryBtn');
 
 // State
 const tagMap = new Map();
@@ -27,8 +37,24 @@ let elapsedMs = 0;
 let startAt = 0;
 let timerId = null;
 let powerDbm = 30;
+let readerState = 'disconnected';
+let readerStateReason = '';
+let reconnectInfo = null;  // { attempt, delay, maxAttempts } while backing off
+let inventoryActive = null;  // ROSpec running per the server's 'inventory' event, null if unknown
 const antennaSelection = new Set([1]);
 
+// Reader connection states (from the server's 'readerState' event)
+const STATE_LABELS = {
+  disconnected: 'Disconnected',
+  connecting: 'Connecting',
+  negotiating: 'Negotiating',
+  configuring: 'Configuring',
+  inventorying: 'Reading',
+  paused: 'Paused',
+  closing: 'Closing',
+  backoff: 'Reconnecting'
+};
+
 // Helpers
 const pad = (value, len = 2) => String(value).padStart(len, '0');
 
@@ -116,19 +142,62 @@ const resetTimer = (keepRunning) => {
 };
 
 // UI State
+const renderStatus = () => {
+  if (running) {
+    statusDot.classList.toggle('connected', readerState === 'inventorying');
+    statusText.textContent = STATE_LABELS[readerState] || readerState;
+    if (readerState === 'inventorying' && inventoryActive === false) {
+      statusText.textContent = 'Idle (waiting for trigger)';
+    }
+    if (readerState === 'backoff' && reconnectInfo) {
+      const { attempt, delay, maxAttempts } = reconnectInfo;
+      const attempts = maxAttempts ? `${attempt}/${maxAttempts}` : attempt;
+      statusText.textContent += ` (attempt ${attempts}, ${(delay / 1000).toFixed(1)}s)`;
+    }
+    statusText.title = readerStateReason;
+  } else {
+    statusDot.classList.remove('connected');
+    statusText.textContent = 'Stopped';
+    statusText.title = '';
+  }
+};
+
+// Reader error (from the server's 'readerError' event), null clears the banner
+const renderReaderError = (error) => {
+  if (!error) {
+    errorBanner.hidden = true;
+    return;
+  }
+  const status = error.statusName ? `${error.statusName} (${error.statusCode})` : 'Error';
+  errorTitle.textContent = error.step ? `Reader refused ${error.step}: ${status}` : `Reader error: ${status}`;
+
+  // Innermost ParameterError/FieldError points at what the reader objected to
+  const details = [];
+  if (error.description) details.push(error.description);
+  if (error.errorDescription) details.push(`"${error.errorDescription}"`);
+  let paramError = error.parameterError;
+  while (paramError) {
+    details.push(`${paramError.parameterName}: ${paramError.errorName}`);
+    if (paramError.fieldError) details.push(`field ${paramError.fieldError.fieldNum}: ${paramError.fieldError.errorName}`);
+    paramError = paramError.parameterError;
+  }
+  if (error.fieldError) details.push(`field ${error.fieldError.fieldNum}: ${error.fieldError.errorName}`);
+  errorDetail.textContent = details.length > 0 ? details.join(' - ') : error.message;
+  errorDetail.title = error.message;
+  errorBanner.hidden = false;
+};
+
 const setRunningState = (isRunning) => {
   startBtn.disabled = isRunning;
   stopBtn.disabled = !isRunning;
+  inventoryBtn.disabled = !isRunning;
 
   if (isRunning) {
-    statusDot.classList.add('connected');
-    statusText.textContent = 'Reading';
     startTimer();
   } else {
-    statusDot.classList.remove('connected');
-    statusText.textContent = 'Stopped';
     stopTimer();
   }
+  renderStatus();
 };
 
 const updatePowerDisplay = () => {
@@ -158,14 +227,60 @@ const renderAntennaButtons = () => {
   }
 };
 
+// Trigger controls <-> reader trigger config ({ start, stop }, times in ms)
+const secondsToMs = (input) => Math.max(1, Math.round(Number(input.value) * 1000));
+
+const buildTriggers = () => {
+  const port = Math.max(1, Math.round(Number(triggerGpiPort.value)));
+  switch (triggerMode.value) {
+    case 'duration':
+      return { start: { type: 'null' }, stop: { type: 'duration', durationMs: secondsToMs(triggerDuration) } };
+    case 'tags':
+      return { start: { type: 'null' }, stop: { type: 'tags', count: Math.max(1, Math.round(Number(triggerCount.value))) } };
+    case 'periodic':
+      return {
+        start: { type: 'periodic', periodMs: secondsToMs(triggerPeriod) },
+        stop: { type: 'duration', durationMs: secondsToMs(triggerDuration) }
+      };
+    case 'gpi':
+      return { start: { type: 'gpi', port, event: true }, stop: { type: 'gpi', port, event: false } };
+    default:
+      return { start: { type: 'null' }, stop: { type: 'null' } };
+  }
+};
+
+const renderTriggerFields = () => {
+  for (const field of triggerFields) {
+    field.hidden = !field.dataset.modes.split(' ').includes(triggerMode.value);
+  }
+};
+
+const applyTriggers = ({ start, stop }) => {
+  if (start.type === 'periodic') {
+    triggerMode.value = 'periodic';
+    triggerPeriod.value = start.periodMs / 1000;
+  } else if (start.type === 'gpi') {
+    triggerMode.value = 'gpi';
+    triggerGpiPort.value = start.port;
+  } else if (stop.type === 'duration' || stop.type === 'tags') {
+    triggerMode.value = stop.type;
+  } else {
+    triggerMode.value = 'continuous';
+  }
+  if (stop.type === 'duration') triggerDuration.value = stop.durationMs / 1000;
+  if (stop.type === 'tags') triggerCount.value = stop.count;
+  renderTriggerFields();
+};
+
 // API
 const sendConfig = () => {
   const antennas = Array.from(antennaSelection).sort((a, b) => a - b);
-  console.log('Sending config:', { antennas, powerDbm });
+  const triggers = buildTriggers();
+  console.log('Sending config:', { antennas, powerDbm, triggers });
   fetch('/config', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ antennas, powerDbm })
+    body: JSON.stringify({ antennas, powerDbm, triggers })
   }).catch(console.error);
 };
 
@@ -179,6 +294,7 @@ const upsertRow = (record) => {
       <td></td>
       <td class="rssi-cell"></td>
       <td class="antenna-cell"></td>
+      <td class="tid-cell"></td>
       <td class="timestamp-cell"></td>
     `;
     tagBody.prepend(row); // New tags at top
@@ -194,7 +310,8 @@ const upsertRow = (record) => {
   cells[2].className = `rssi-cell ${getRssiClass(record.rssi)}`;
 
   cells[3].textContent = record.antenna ?? '?';
-  cells[4].textContent = formatDateTime(parseTimestamp(record.timestamp));
+  cells[4].textContent = record.tid ?? '-';
+  cells[5].textContent = formatDateTime(parseTimestamp(record.timestamp));
 };
 
 const handleTagUpdate = (data) => {
@@ -205,10 +322,16 @@ const handleTagUpdate = (data) => {
     count,
     rssi: data.rssi,
     antenna: data.antenna,
+    tid: data.reads?.tid ?? data.tid ?? existing.tid,
     timestamp: data.timestamp
   };
   tagMap.set(data.epc, record);
   upsertRow(record);
+};
+
+// One SSE 'tags' event per reader report; stats are refreshed once per batch
+const handleTagBatch = (batch) => {
+  batch.forEach(handleTagUpdate);
   updateStats();
 };
 
@@ -257,6 +380,22 @@ powerSlider.addEventListener('input', () => {
   powerValue.textContent = `${Number(powerSlider.value).toFixed(1)} dBm`;
 });
 
+triggerMode.addEventListener('change', () => {
+  renderTriggerFields();
+  sendConfig();
+});
+
+for (const input of [triggerPeriod, triggerDuration, triggerCount, triggerGpiPort]) {
+  input.addEventListener('change', sendConfig);
+}
+
+inventoryBtn.addEventListener('click', () => {
+  fetch('/inventory', { method: 'POST' })
+    .then((res) => res.json())
+    .then((data) => { if (!data.ok) console.warn('Inventory not started:', data.error); })
+    .catch(console.error);
+});
+
 // Close modal on backdrop click
 powerModal.addEventListener('click', (e) => {
   if (e.target === powerModal) {
@@ -268,9 +407,9 @@ powerModal.addEventListener('click', (e) => {
 // SSE Events
 const events = new EventSource('/events');
 
-events.addEventListener('tag', (event) => {
+events.addEventListener('tags', (event) => {
   const data = JSON.parse(event.data);
-  handleTagUpdate(data);
+  handleTagBatch(data);
 });
 
 events.addEventListener('status', (event) => {
@@ -278,6 +417,27 @@ events.addEventListener('status', (event) => {
   setRunningState(!!data.running);
 });
 
+events.addEventListener('readerState', (event) => {
+  const data = JSON.parse(event.data);
+  readerState = data.state;
+  readerStateReason = data.reason || '';
+  renderStatus();
+});
+
+events.addEventListener('inventory', (event) => {
+  inventoryActive = JSON.parse(event.data).active;
+  renderStatus();
+});
+
+events.addEventListener('reconnecting', (event) => {
+  reconnectInfo = JSON.parse(event.data);
+  renderStatus();
+});
+
+events.addEventListener('readerError', (event) => {
+  renderReaderError(JSON.parse(event.data));
+});
+
 events.addEventListener('config', (event) => {
   const data = JSON.parse(event.data);
   if (Array.isArray(data.antennas) && data.antennas.length > 0) {
@@ -289,6 +449,7 @@ events.addEventListener('config', (event) => {
     powerDbm = data.powerDbm;
     updatePowerDisplay();
   }
+  if (data.triggers) applyTriggers(data.triggers);
 });
 
 events.addEventListener('clear', () => {
@@ -306,3 +467,4 @@ updateTimer();
 updateStats();
 updatePowerDisplay();
 renderAntennaButtons();
+renderTriggerFields();
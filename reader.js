@@ -6,13 +6,27 @@
  * Zebra-specific adaptations:
  * - Parses GET_READER_CAPABILITIES to build dBm -> power index map
  * - Uses HopTableID = 0 (default) for regulatory compliance
+ * - Negotiates LLRP 1.1 when the firmware supports it, else stays on LLRP 1.0.x
  * - Calls SET_READER_CONFIG before starting ROSpec
  * - Power configured in dBm, automatically converted to reader's power table index
+ * - Decodes Zebra 0.01 dBm RSSI; optional Impinj extensions (phase, Doppler, RSSI, TID) (llrp-vendor.js)
  */
 
 const net = require('net');
 const EventEmitter = require('events');
 const fs = require('fs');
+const {
+    MSG, decodeHeader, decodeMessage, decodeParams, encodeMessage, messageName, param, findParam, findParams, findDeep,
+} = require('./llrp-codec');
+const { LLRPFramer } = require('./llrp-framer');
+const {
+    MEMORY_BANKS, LOCK_FIELDS, LOCK_PRIVILEGES, IRREVERSIBLE_PRIVILEGES, buildAccessSpec, decodeOpSpecResult, hexToWords,
+} = require('./llrp-access');
+const {
+    VENDOR_IDS, IMPINJ_SEARCH_MODES, vendorProfile, buildVendorReportSelector, buildVendorInventoryCommand, buildEnableExtensions,
+    validateVendorConfig, supportedReportContent, supportedInventoryOptions, decodeVendorParam,
+} = require('./llrp-vendor');
+const { LLRPError, LLRPTimeoutError, LLRPConnectionError, LLRPStartupError } = require('./llrp-errors');
 
 // Configuration - Edit these settings
 const CONFIG = {
@@ -32,93 +46,365 @@ const CONFIG = {
         7: 30,    // Antenna 7: 30 dBm
         8: 30,    // Antenna 8: 30 dBm
     },
-    reconnectInterval: 5000,  // ms between reconnect attempts
+    // Gen2 Select filters applied by the reader, so unwanted tags are never reported.
+    // { bank = 'epc', pointer = 0x20, mask, bitCount, action = 'include', truncate = false, antennas }
+    // pointer is a bit address in bank (EPC starts at 0x20), mask a hex string of which the first
+    // bitCount bits (default: all) are compared, antennas limits the filter (default: all antennas).
+    // action is a FILTER_ACTIONS key. e.g. only our company prefix:
+    // [{ mask: '30740257BF', bitCount: 38 }]
+    inventoryFilters: [],
+    // Gen2 singulation for every antenna, null leaves the reader's defaults.
+    // { session = 2, tagPopulation = 32, tagTransitTime = 0, stateAware = false, target = 'A', selected }
+    // session 1 suits portals (tags re-reported soon after leaving), 2/3 suit shelf counting.
+    // target ('A'/'B') and selected ('SL'/'notSL', default: 'SL' with inventory filters,
+    // else 'notSL') only apply with stateAware, which the reader must support.
+    singulation: null,
+    antennaSingulation: {},  // antennaId -> overrides merged over singulation
+    // Gen2 RF mode sent in C1G2RFControl, null for both leaves the reader's default.
+    // rfModeIndex is a ModeIdentifier from the reader's RF mode table (reader.rfModes);
+    // rfModePreference picks one instead (RF_MODE_PREFERENCES key: 'denseReader', 'maxThroughput').
+    rfModeIndex: null,
+    rfModePreference: null,
+    rfTari: 0,  // Tari in ns within the mode's range, 0 lets the reader choose
+    hopTableId: null,  // FrequencyHopTable to hop on (reader.hopTables), null = first one reported
+    // Fixed channel, a 1-based index into the FixedFrequencyTable (0 = hop / reader default).
+    // Readers in hopping regions may ignore it.
+    channelIndex: 0,
+    reconnectInterval: 5000,  // ms before the first reconnect attempt
+    reconnectMaxInterval: 60000,  // Cap on the backoff delay
+    reconnectBackoffFactor: 2,  // Delay multiplier per failed attempt
+    reconnectJitter: 0.2,  // Random +/- fraction of the delay, spreads out readers sharing a network
+    reconnectMaxAttempts: 0,  // Attempts before emitting 'giveUp' (0 = retry forever)
     enableReconnect: true,
+    requestTimeoutMs: 10000,  // Default timeout for reader.request() responses
+    protocolVersion: 2,  // Highest LLRP version to negotiate (2 = LLRP 1.1, 1 = LLRP 1.0.x only)
+    versionNegotiationTimeoutMs: 3000,  // Pre-1.1 readers may not answer GET_SUPPORTED_VERSION at all
+    rospecFallback: true,  // Retry a rejected ROSpec with safer variants
+    // SET_READER_CONFIG sent during startup (null leaves the reader's settings untouched)
+    readerConfig: {
+        restoreFactorySettings: false,  // Reset the reader to factory defaults first
+        keepaliveIntervalMs: 30000,  // Periodic KEEPALIVE interval, 0 disables keepalives
+        holdEventsAndReportsUponReconnect: false,  // Reader holds events/reports until ENABLE_EVENTS_AND_REPORTS
+        // Reader event notifications (names from READER_EVENT_TYPES), unlisted events are disabled
+        events: {
+            roSpec: true,
+            reportBufferFillWarning: true,
+            readerException: true,
+            antenna: true,
+        },
+        // Per-antenna gain in dBi * 100, only sent if the reader reports CanSetAntennaProperties
+        antennaGain: {},
+    },
+    // When the ROSpec runs (see ROSPEC_START_TRIGGERS / ROSPEC_STOP_TRIGGERS):
+    //   start: { type: 'null' }  started at startup and by startInventory()
+    //          { type: 'immediate' }  runs as soon as it is enabled
+    //          { type: 'periodic', periodMs, offsetMs = 0 }
+    //          { type: 'gpi', port, event = true, timeoutMs = 0 }  GPI port goes high (event true) / low
+    //   stop:  { type: 'null' }  runs until stopped
+    //          { type: 'duration', durationMs }
+    //          { type: 'gpi', port, event = false, timeoutMs = 0 }
+    //          { type: 'tags', count, timeoutMs = 0 }  after count tags have been seen
+    // e.g. 2 s every 30 s: { start: { type: 'periodic', periodMs: 30000 }, stop: { type: 'duration', durationMs: 2000 } }
+    triggers: { start: { type: 'null' }, stop: { type: 'null' } },
+    // Inventory phases, one AISpec each, run in order (null = one AISpec over all antennas).
+    // { antennas, durationMs } or { antennas, tagCount, timeoutMs = 0 }, optional
+    // powerDbm (number or antennaId -> dBm) overrides antennaPowerDbm for that phase.
+    // e.g. long dwell on 1, short sweep of 2-4:
+    // [{ antennas: [1], durationMs: 5000 }, { antennas: [2, 3, 4], durationMs: 500, powerDbm: 24 }]
+    aiSpecs: null,
+    aiSpecLoop: true,  // Repeat the phases until the ROSpec stops (otherwise the ROSpec ends after one pass)
+    // When the reader sends tag reports; each report is emitted as one 'tagBatch' (plus 'tag' per tag):
+    //   { trigger: 'tags', n = 1 }        every n tags, and at the end of each AISpec
+    //   { trigger: 'aiSpec', n = 0 }      at the end of each AISpec (or n tags, 0 = no limit)
+    //   { trigger: 'roSpec', n = 0 }      at the end of the ROSpec (or n tags)
+    //   { trigger: 'poll', intervalMs }   reader buffers tags until GET_REPORT, sent every intervalMs
+    reportSpec: { trigger: 'tags', n: 1 },
+    // Fields the reader includes in each TagReportData (REPORT_CONTENT keys), decoded onto the 'tag' event
+    reportContent: ['antennaId', 'channelIndex', 'peakRssi', 'lastSeenTimestamp', 'tagSeenCount'],
+    // Vendor extensions (llrp-vendor.js), picked by the reader's manufacturer so one config fits a mixed fleet.
+    // Ignored on readers without a profile, and per setting where the profile lacks it; the fallback
+    // ROSpec variants drop them. Names no profile knows are rejected by the constructor.
+    // Report content, e.g. ['phase', 'doppler', 'peakRssi', 'serializedTid'] (Impinj)
+    vendorReportContent: [],
+    vendorInventory: {},  // Impinj: { searchMode } with an IMPINJ_SEARCH_MODES key, e.g. 'dualTarget'
+    // AccessSpecs installed on every startup, results arrive on 'tag' as tag.reads / tag.opResults
+    // e.g. [{ operations: [{ type: 'read', bank: 'tid', wordCount: 6 }] }]
+    accessSpecs: [],
+    // Tag password sources for lockTag()/killTag(), never the passwords themselves
+    secrets: {
+        accessPassword: { env: 'LLRP_ACCESS_PASSWORD' },
+        killPassword: { env: 'LLRP_KILL_PASSWORD' },
+    },
+    checkConfigDrift: true,  // After startup, compare GET_READER_CONFIG with the requested setup
+    maxMessageLength: 1024 * 1024,  // Larger frames are treated as corrupt
+    maxProtocolErrors: 5,  // Corrupt frames tolerated per connection before it is dropped
+    keepaliveMissLimit: 3,  // Missed keepalives before the connection is dropped (0 disables the watchdog)
     debugRx: true,  // Set to true to log all received message types
 };
 
-// LLRP Message Types
-const MSG = {
-    GET_READER_CAPABILITIES: 1,
-    GET_READER_CAPABILITIES_RESPONSE: 11,
-    ENABLE_EVENTS_AND_REPORTS: 64,
-    ENABLE_EVENTS_AND_REPORTS_RESPONSE: 12,
-    ADD_ROSPEC: 20,
-    ADD_ROSPEC_RESPONSE: 30,
-    DELETE_ROSPEC: 21,
-    DELETE_ROSPEC_RESPONSE: 31,
-    START_ROSPEC: 22,
-    START_ROSPEC_RESPONSE: 32,
-    STOP_ROSPEC: 23,
-    STOP_ROSPEC_RESPONSE: 33,
-    ENABLE_ROSPEC: 24,
-    ENABLE_ROSPEC_RESPONSE: 34,
-    SET_READER_CONFIG: 3,
-    SET_READER_CONFIG_RESPONSE: 13,
-    READER_EVENT_NOTIFICATION: 63,
-    RO_ACCESS_REPORT: 61,
-    KEEPALIVE: 62,
-    KEEPALIVE_ACK: 72,
-    CLOSE_CONNECTION: 14,
-    CLOSE_CONNECTION_RESPONSE: 4,
-    ERROR_MESSAGE: 100,
+// EventNotificationState event types
+const READER_EVENT_TYPES = {
+    hopping: 0,
+    gpi: 1,
+    roSpec: 2,
+    reportBufferFillWarning: 3,
+    readerException: 4,
+    rfSurvey: 5,
+    aiSpec: 6,
+    aiSpecWithDetails: 7,
+    antenna: 8,
+};
+
+// C1G2TagInventoryStateUnawareFilterAction Action: <matching tags>_<non-matching tags>
+const FILTER_ACTIONS = {
+    include: 0,            // Only matching tags are inventoried
+    exclude: 4,            // Only non-matching tags are inventoried
+    selectUnselect: 0,
+    selectDoNothing: 1,
+    doNothingUnselect: 2,
+    unselectDoNothing: 3,
+    unselectSelect: 4,
+    doNothingSelect: 5,
+};
+
+// UHFC1G2RFModeTableEntry enumerations
+const MILLER_ENCODINGS = ['FM0', 'M2', 'M4', 'M8'];
+const FORWARD_LINK_MODULATIONS = ['PR-ASK', 'SSB-ASK', 'DSB-ASK'];
+const SPECTRAL_MASKS = ['unknown', 'singleInterrogator', 'multiInterrogator', 'denseInterrogator'];
+
+// RF mode preference -> comparator over decoded rfModes, best mode sorts first
+const RF_MODE_PREFERENCES = {
+    // Tightest spectral mask, then the most robust encoding, then the fastest
+    denseReader: (a, b) => b.spectralMaskIndicator - a.spectralMaskIndicator || b.mValue - a.mValue || b.bdrBps - a.bdrBps,
+    // Fastest backscatter link, then the shortest Tari
+    maxThroughput: (a, b) => b.bdrBps - a.bdrBps || a.minTariNs - b.minTariNs,
+};
+
+// FILTER_ACTIONS value -> C1G2TagInventoryStateAwareFilterAction Action with the same effect on SL
+const STATE_AWARE_FILTER_ACTIONS = [0, 1, 2, 5, 4, 6];
+
+// ROSpecStartTrigger types
+const ROSPEC_START_TRIGGERS = { null: 0, immediate: 1, periodic: 2, gpi: 3 };
+
+// ROSpecStopTrigger types; 'tags' is an AISpecStopTrigger TagObservationTrigger under a Null ROSpec stop
+const ROSPEC_STOP_TRIGGERS = { null: 0, duration: 1, gpi: 2, tags: 0 };
+
+// reportContent field -> TagReportContentSelector flag; crc and pcBits go in its C1G2EPCMemorySelector
+const REPORT_CONTENT = {
+    roSpecId: 'enableRoSpecId',
+    specIndex: 'enableSpecIndex',
+    inventoryParameterSpecId: 'enableInventoryParameterSpecId',
+    antennaId: 'enableAntennaId',
+    channelIndex: 'enableChannelIndex',
+    peakRssi: 'enablePeakRssi',
+    firstSeenTimestamp: 'enableFirstSeenTimestamp',
+    lastSeenTimestamp: 'enableLastSeenTimestamp',
+    tagSeenCount: 'enableTagSeenCount',
+    accessSpecId: 'enableAccessSpecId',
+    crc: 'enableCrc',
+    pcBits: 'enablePcBits',
+};
+const EPC_MEMORY_CONTENT = ['crc', 'pcBits'];
+
+// ROReportTrigger for each reportSpec trigger
+const REPORT_TRIGGERS = { poll: 0, tags: 1, aiSpec: 1, roSpec: 2 };
+
+// ROSpecEvent EventType
+const ROSPEC_EVENTS = ['start', 'end', 'preempted'];
+
+// GET_READER_CONFIG RequestedData values
+const READER_CONFIG_DATA = {
+    all: 0,
+    identification: 1,
+    antennaProperties: 2,
+    antennaConfiguration: 3,
+    roReportSpec: 4,
+    readerEventNotificationSpec: 5,
+    accessReportSpec: 6,
+    configurationStateValue: 7,
+    keepaliveSpec: 8,
+    gpiPortCurrentState: 9,
+    gpoWriteData: 10,
+    eventsAndReports: 11,
+};
+
+// Connection states
+const STATE = {
+    DISCONNECTED: 'disconnected',  // Idle, or closed for good
+    CONNECTING: 'connecting',      // TCP connect in progress
+    NEGOTIATING: 'negotiating',    // Connected, reading capabilities
+    CONFIGURING: 'configuring',    // Installing and starting the ROSpec
+    INVENTORYING: 'inventorying',  // ROSpec running, tags are reported
+    PAUSED: 'paused',              // ROSpec stopped by pause()
+    CLOSING: 'closing',            // disconnect() requested
+    BACKOFF: 'backoff',            // Waiting to reconnect
 };
 
-// LLRP Parameter Types
-const PARAM = {
-    GENERAL_CAPABILITIES: 137,
-    LLRP_CAPABILITIES: 142,
-    REGULATORY_CAPABILITIES: 143,
-    UHFC1G2_RF_MODE_TABLE: 329,
-    TRANSMIT_POWER_LEVEL_TABLE_ENTRY: 145,
-    FREQUENCY_HOP_TABLE: 147,
+// Allowed transitions: from -> [to]
+const TRANSITIONS = {
+    [STATE.DISCONNECTED]: [STATE.CONNECTING],
+    [STATE.CONNECTING]: [STATE.NEGOTIATING, STATE.BACKOFF, STATE.CLOSING, STATE.DISCONNECTED],
+    [STATE.NEGOTIATING]: [STATE.CONFIGURING, STATE.BACKOFF, STATE.CLOSING, STATE.DISCONNECTED],
+    [STATE.CONFIGURING]: [STATE.INVENTORYING, STATE.BACKOFF, STATE.CLOSING, STATE.DISCONNECTED],
+    [STATE.INVENTORYING]: [STATE.PAUSED, STATE.CONFIGURING, STATE.BACKOFF, STATE.CLOSING, STATE.DISCONNECTED],
+    [STATE.PAUSED]: [STATE.INVENTORYING, STATE.CONFIGURING, STATE.BACKOFF, STATE.CLOSING, STATE.DISCONNECTED],
+    [STATE.CLOSING]: [STATE.DISCONNECTED],
+    [STATE.BACKOFF]: [STATE.CONNECTING, STATE.CLOSING, STATE.DISCONNECTED],
 };
 
+// States in which the LLRP session is up and messages can be sent
+const SESSION_STATES = [STATE.NEGOTIATING, STATE.CONFIGURING, STATE.INVENTORYING, STATE.PAUSED];
+
+// Responses that are not the request type + 10
+const RESPONSE_TYPES = {
+    [MSG.CLOSE_CONNECTION]: MSG.CLOSE_CONNECTION_RESPONSE,
+    [MSG.CUSTOM_MESSAGE]: MSG.CUSTOM_MESSAGE,
+    [MSG.GET_REPORT]: MSG.RO_ACCESS_REPORT,
+};
+const responseType = (type) => RESPONSE_TYPES[type] ?? type + 10;
+
+// ROSpec variants tried in order when config.rospecFallback is set, each safer than the last
+const ROSPEC_VARIANTS = [
+    { name: 'configured' },
+    // Vendor Custom parameters dropped, standard report content kept
+    { name: 'noVendorExtensions', omitVendorExtensions: true },
+    // All-zero TagReportContentSelector mask (workingreader.js known-good)
+    { name: 'minimalReportContent', minimalReportContent: true, omitVendorExtensions: true },
+    // Keep AntennaConfiguration but drop C1G2InventoryCommand (filters, singulation), rejected by some Zebra firmware
+    { name: 'noInventoryCommand', minimalReportContent: true, omitVendorExtensions: true, omitInventoryCommand: true },
+    // Also drop AntennaConfiguration and let the reader use its own antenna settings
+    { name: 'noAntennaConfiguration', minimalReportContent: true, omitVendorExtensions: true, omitAntennaConfiguration: true },
+];
+
 class LLRPReader extends EventEmitter {
     constructor(config) {
         super();
         this.config = config;
         this.socket = null;
         this.messageId = 1;
-        this.buffer = Buffer.alloc(0);
-        this.connected = false;
+        this.protocolVersion = 1;  // Negotiated LLRP version used in outgoing headers
+        this.state = STATE.DISCONNECTED;  // Only process tags while INVENTORYING
         this.shouldReconnect = config.enableReconnect;
         this.reconnectTimer = null;
+        this.reconnectAttempts = 0;  // Failed attempts since the last successful startup
         this.isShuttingDown = false;
-        this.configStarted = false;
-        this.rospecStarted = false;  // Only process tags after ROSpec is fully running
+        this.activeVariant = null;  // ROSPEC_VARIANTS entry that started successfully
+        this.pendingRequests = new Map();  // MessageID -> { resolve, reject, timer, type }
+        this.accessSpecs = new Map();  // AccessSpecID -> { accessSpecId, operations, target, antennaId, operationCount }
+        this.opSpecs = new Map();  // OpSpecID -> operation descriptor (with accessSpecId, name)
+        this.nextAccessSpecId = 1;
+        this.nextOpSpecId = 0;  // Last OpSpecID handed out
+
+        // Frame reassembly; resyncs past corrupt headers instead of trusting their length
+        this.framer = new LLRPFramer({ maxMessageLength: config.maxMessageLength });
+        this.framer.on('message', (frame) => this.processMessage(frame));
+        this.framer.on('protocolError', (info) => this.handleProtocolError(info));
+        this.framer.on('resync', ({ skipped }) => console.warn(`Resynchronized LLRP stream after skipping ${skipped} bytes`));
+        this.protocolErrors = 0;  // Since the current connection was opened
 
         // Zebra-specific: Power table mapping (dBm * 100 -> index)
         this.powerTable = [];  // Array of {index, powerDbm} sorted by powerDbm
         this.antennaPowerIndex = {};  // Computed power indices per antenna
-        this.hopTableIds = [];  // Valid hop table IDs from capabilities
+        this.hopping = null;  // FrequencyInformation Hopping flag, null until capabilities arrive
+        this.hopTables = [];  // { hopTableId, frequenciesMhz } from capabilities
+        this.fixedFrequenciesMhz = [];  // FixedFrequencyTable, ChannelIndex 1 is the first entry
         this.hopTableId = 1;  // Will be set from capabilities (default fallback = 1)
+        this.canSetAntennaProperties = false;  // From GeneralDeviceCapabilities
+        this.manufacturer = null;  // GeneralDeviceCapabilities DeviceManufacturerName (LLRP VendorID)
+        this.vendorExtensions = null;  // llrp-vendor.js profile in use this session, null = none
+        this.numGpis = null;  // From GPIOCapabilities, null if not reported
+        this.rfModes = [];  // Decoded UHFC1G2RFModeTableEntry list from capabilities
+        this.rfModeId = null;  // ModeIdentifier sent in C1G2RFControl, null = reader default
+        this.maxSelectFilters = 0;  // From C1G2LLRPCapabilities, 0 = no limit
+        this.canDoStateAwareSingulation = false;  // From LLRPCapabilities
+
+        // Keepalive watchdog, armed once the keepalive interval is known
+        this.keepaliveIntervalMs = 0;
+        this.keepaliveTimer = null;
+        this.keepalivesMissed = 0;  // Consecutive misses, reset by each KEEPALIVE
+        this.reportPollTimer = null;  // GET_REPORT interval for reportSpec trigger 'poll'
+        this.unknownTvTypes = new Set();  // Warned about once each in parseTagReportData
+        this.metrics = {
+            keepalivesReceived: 0,
+            keepalivesMissed: 0,    // Total misses over the reader's lifetime
+            lastKeepaliveAt: null,  // Date.now() of the last KEEPALIVE
+            lastRttMs: null,        // Request -> response round trip of the last request
+            avgRttMs: null,         // Exponentially weighted average round trip
+        };
+
+        this.validateConfig();
+    }
+
+    /**
+     * Throw TypeError now for config that no reader could accept, rather than on every
+     * startup. Checks what does not depend on capabilities; the rest is checked per ROSpec.
+     */
+    validateConfig() {
+        this.buildPhases();
+        this.buildTriggers();
+        this.buildROReportSpec(this.buildTagReportContentSelector());
+        for (const antennaId of this.inventoryAntennas()) {
+            this.buildInventoryFilters(antennaId, !!this.singulationFor(antennaId)?.stateAware);
+        }
+        validateVendorConfig(this.config.vendorReportContent || [], this.config.vendorInventory || {});
+    }
+
+    get connected() {
+        return SESSION_STATES.includes(this.state);
+    }
+
+    /**
+     * Move to the next connection state and emit 'state' with { from, to, reason }.
+     * Transitions not listed in TRANSITIONS are logged and ignored.
+     */
+    setState(next, reason) {
+        const from = this.state;
+        if (from === next) return true;
+        if (!TRANSITIONS[from].includes(next)) {
+            console.warn(`Ignoring invalid state transition ${from} -> ${next} (${reason})`);
+            return false;
+        }
+
+        this.state = next;
+        if (this.config.debugRx) console.log(`State: ${from} -> ${next} (${reason})`);
+        this.emit('state', { from, to: next, reason });
+        return true;
     }
 
     connect() {
         if (this.isShuttingDown) return;
 
-        this.socket = new net.Socket();
+        // A fresh connect() (not a reconnect from BACKOFF) re-arms reconnects, e.g. after 'giveUp'
+        if (this.state === STATE.DISCONNECTED) {
+            this.reconnectAttempts = 0;
+            this.shouldReconnect = this.config.enableReconnect;
+        }
+
+        this.setState(STATE.CONNECTING, `connecting to ${this.config.ip}:${this.config.port}`);
+        this.framer.reset();
+        this.protocolErrors = 0;
+        const socket = new net.Socket();
+        this.socket = socket;
         this.socket.setTimeout(30000);
 
         this.socket.connect(this.config.port, this.config.ip, () => {
             console.log(`Connected to ${this.config.ip}:${this.config.port}`);
-            this.connected = true;
+            this.setState(STATE.NEGOTIATING, 'TCP connection established');
             this.emit('connected');
             this.socket.setTimeout(0);
 
             // Send ENABLE_EVENTS_AND_REPORTS (64) immediately
-            this.sendMessage(64);
+            this.sendMessage(MSG.ENABLE_EVENTS_AND_REPORTS);
 
-            // Pull capabilities after brief delay
+            // Pull capabilities after brief delay, then run the startup sequence
             setTimeout(() => {
-                if (this.connected) this.sendGetReaderCapabilities();
+                if (this.connected) this.startup();
             }, 100);
 
-            // Stuck detector - warn if no capabilities parsed after 2 seconds
+            // Stuck detector - warn if still negotiating after 2 seconds
             setTimeout(() => {
-                if (this.connected && this.powerTable.length === 0) {
-                    console.log("WARNING: Still no capabilities parsed (no power table). Did we receive msgType=11?");
+                if (this.state === STATE.NEGOTIATING) {
+                    console.log(`WARNING: Still in '${this.state}' state (no capabilities parsed). Did we receive msgType=11?`);
                 }
             }, 2000);
         });
@@ -127,7 +413,7 @@ class LLRPReader extends EventEmitter {
 
         this.socket.on('timeout', () => {
             console.log('Connection timeout - reconnecting...');
-            this.socket.destroy();
+            socket.destroy();
         });
 
         this.socket.on('error', (err) => {
@@ -138,39 +424,88 @@ class LLRPReader extends EventEmitter {
         });
 
         this.socket.on('close', () => {
-            this.connected = false;
+            if (this.socket === socket) this.socket = null;
+            this.stopKeepaliveWatchdog();
+            this.stopReportPolling();
+            this.rejectPendingRequests('connection closed before response');
             if (!this.isShuttingDown) {
                 this.emit('disconnect');
                 this.scheduleReconnect();
+            } else {
+                this.setState(STATE.DISCONNECTED, 'connection closed');
             }
         });
     }
 
+    /**
+     * Reconnect with exponential backoff: reconnectInterval * reconnectBackoffFactor^(attempt - 1),
+     * capped at reconnectMaxInterval, with +/- reconnectJitter randomization.
+     * Emits 'reconnecting' with { attempt, delay, maxAttempts } per attempt, and 'giveUp'
+     * with { attempts } once reconnectMaxAttempts is exhausted.
+     */
     scheduleReconnect() {
-        if (!this.shouldReconnect || this.isShuttingDown) return;
+        if (!this.shouldReconnect || this.isShuttingDown) {
+            this.setState(STATE.DISCONNECTED, 'connection closed, reconnect disabled');
+            return;
+        }
 
         if (this.reconnectTimer) {
             clearTimeout(this.reconnectTimer);
         }
 
-        console.log(`Reconnecting in ${this.config.reconnectInterval / 1000} seconds...`);
+        const maxAttempts = this.config.reconnectMaxAttempts || 0;
+        if (maxAttempts > 0 && this.reconnectAttempts >= maxAttempts) {
+            console.error(`Giving up after ${this.reconnectAttempts} reconnect attempts`);
+            this.shouldReconnect = false;
+            this.setState(STATE.DISCONNECTED, `gave up after ${this.reconnectAttempts} reconnect attempts`);
+            this.emit('giveUp', { attempts: this.reconnectAttempts });
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const attempt = this.reconnectAttempts;
+        const delay = this.reconnectDelay(attempt);
+
+        console.log(`Reconnecting in ${(delay / 1000).toFixed(1)} seconds (attempt ${attempt}${maxAttempts ? `/${maxAttempts}` : ''})...`);
+        this.setState(STATE.BACKOFF, `reconnect attempt ${attempt} in ${delay}ms`);
+        this.emit('reconnecting', { attempt, delay, maxAttempts });
         this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
             console.log('Attempting to reconnect...');
-            this.configStarted = false;
-            this.rospecStarted = false;
             this.messageId = 1;
-            this.buffer = Buffer.alloc(0);
+            this.protocolVersion = 1;
             this.powerTable = [];
             this.antennaPowerIndex = {};
-            this.hopTableIds = [];
+            this.hopping = null;
+            this.hopTables = [];
+            this.fixedFrequenciesMhz = [];
             this.hopTableId = 1;
+            this.canSetAntennaProperties = false;
+            this.manufacturer = null;
+            this.vendorExtensions = null;
+            this.numGpis = null;
+            this.rfModes = [];
+            this.rfModeId = null;
             this.connect();
-        }, this.config.reconnectInterval);
+        }, delay);
+    }
+
+    reconnectDelay(attempt) {
+        const base = this.config.reconnectInterval ?? 5000;
+        const cap = this.config.reconnectMaxInterval ?? base;
+        const factor = this.config.reconnectBackoffFactor ?? 2;
+        const jitter = this.config.reconnectJitter ?? 0;
+
+        const delay = Math.min(cap, base * Math.pow(factor, attempt - 1));
+        const jittered = delay * (1 + jitter * (Math.random() * 2 - 1));
+        return Math.round(Math.max(0, Math.min(cap, jittered)));
     }
 
     disconnect() {
         this.isShuttingDown = true;
         this.shouldReconnect = false;
+        this.stopKeepaliveWatchdog();
+        this.stopReportPolling();
 
         if (this.reconnectTimer) {
             clearTimeout(this.reconnectTimer);
@@ -181,115 +516,324 @@ class LLRPReader extends EventEmitter {
             if (this.connected) {
                 this.sendCloseConnection();
             }
+            this.setState(STATE.CLOSING, 'disconnect requested');
             setTimeout(() => {
                 if (this.socket) {
                     this.socket.destroy();
                     this.socket = null;
                 }
             }, 500);
+        } else {
+            this.setState(STATE.DISCONNECTED, 'disconnect requested');
         }
     }
 
-    handleData(data) {
-        this.buffer = Buffer.concat([this.buffer, data]);
+    /**
+     * Stop the running ROSpec without dropping the connection.
+     * Resolves once STOP_ROSPEC succeeds; the state becomes PAUSED.
+     * A trigger-started ROSpec is disabled instead, so its trigger cannot restart it.
+     */
+    pause() {
+        if (this.state !== STATE.INVENTORYING) {
+            return Promise.reject(new LLRPError(`Cannot pause in '${this.state}' state`));
+        }
+        const type = this.startTriggerType() === 'null' ? MSG.STOP_ROSPEC : MSG.DISABLE_ROSPEC;
+        return this.request(type, { fields: { roSpecId: 1 } })
+            .then(() => { this.setState(STATE.PAUSED, 'pause requested'); });
+    }
+
+    // Restart the ROSpec stopped by pause(), or re-arm its start trigger
+    resume() {
+        if (this.state !== STATE.PAUSED) {
+            return Promise.reject(new LLRPError(`Cannot resume in '${this.state}' state`));
+        }
+        const type = this.startTriggerType() === 'null' ? MSG.START_ROSPEC : MSG.ENABLE_ROSPEC;
+        return this.request(type, { fields: { roSpecId: 1 } })
+            .then(() => { this.setState(STATE.INVENTORYING, 'resume requested'); });
+    }
+
+    /**
+     * Run the ROSpec now, e.g. another timed inventory once the last one stopped.
+     * Rejects unless the reader is in the INVENTORYING state; a ROSpec that is
+     * still active is left to the reader, which rejects the START_ROSPEC.
+     */
+    startInventory() {
+        if (this.state !== STATE.INVENTORYING) {
+            return Promise.reject(new LLRPError(`Cannot start an inventory in '${this.state}' state`));
+        }
+        return this.sendStartROSpec();
+    }
+
+    // LLRP 1.0 cannot loop AISpec phases with a LoopSpec; restart the ROSpec when it ends instead
+    loopsByRestart() {
+        const { start = { type: 'null' }, stop = { type: 'null' } } = this.config.triggers || {};
+        return !!this.config.aiSpecs && this.config.aiSpecLoop !== false && this.protocolVersion < 2 &&
+            start.type === 'null' && stop.type === 'null';
+    }
+
+    startTriggerType() {
+        return this.config.triggers?.start?.type ?? 'null';
+    }
 
-        while (this.buffer.length >= 10) {
-            const msgLength = this.buffer.readUInt32BE(2);
-            if (this.buffer.length < msgLength) break;
+    handleData(data) {
+        this.framer.push(data);
+    }
 
-            const message = this.buffer.slice(0, msgLength);
-            this.buffer = this.buffer.slice(msgLength);
-            this.processMessage(message);
+    /**
+     * Corrupt frame header or undecodable message. Emits 'protocolError' with
+     * the framer's details plus { count }; after config.maxProtocolErrors the
+     * peer is presumed not to speak LLRP and the connection is dropped.
+     */
+    handleProtocolError(info) {
+        this.protocolErrors++;
+        const limit = this.config.maxProtocolErrors ?? 5;
+        console.warn(`LLRP protocol error: ${info.reason} (${this.protocolErrors}/${limit})`);
+        this.emit('protocolError', { ...info, count: this.protocolErrors });
+
+        if (limit > 0 && this.protocolErrors >= limit && this.socket) {
+            console.error(`Too many protocol errors - dropping connection to ${this.config.ip}:${this.config.port}`);
+            this.emit('error', new LLRPConnectionError(`Connection dropped after ${this.protocolErrors} protocol errors`));
+            this.socket.destroy();
         }
     }
 
     processMessage(data) {
-        const msgType = ((data[0] & 0x03) << 8) | data[1];
-        if (this.config.debugRx) console.log(`RX msgType=${msgType} len=${data.length}`);
+        let msg;
+        try {
+            msg = decodeMessage(data);
+        } catch (err) {
+            const { version, type, length, messageId } = decodeHeader(data);
+            this.handleProtocolError({ reason: `undecodable message: ${err.message}`, version, type, length, messageId });
+            return;
+        }
+        if (this.config.debugRx) console.log(`RX msgType=${msg.type} len=${data.length}`);
 
-        switch (msgType) {
-            case MSG.ENABLE_EVENTS_AND_REPORTS_RESPONSE:
-                console.log('ENABLE_EVENTS_AND_REPORTS_RESPONSE received');
-                break;
+        const settled = this.settleRequest(msg);
+
+        switch (msg.type) {
             case MSG.READER_EVENT_NOTIFICATION:
-                // Just note it arrived - actual startup chain is driven by capabilities (type 11)
-                if (!this.configStarted) {
-                    this.configStarted = true;
+                // Just note it arrived - actual startup sequence is driven by startup()
+                if (this.state === STATE.NEGOTIATING) {
                     console.log('Reader event notification received.');
                 }
-                break;
-            case MSG.GET_READER_CAPABILITIES_RESPONSE:
-                if (!this.parseCapabilities(data)) return;
-                this.computePowerIndices();
-                this.sendDeleteROSpec();
+                this.handleReaderEvent(msg);
                 break;
             case MSG.ERROR_MESSAGE:
-                this.handleErrorMessage(data);
-                break;
-            case MSG.SET_READER_CONFIG_RESPONSE:
-                this.checkResponse(data, 'SET_READER_CONFIG');
-                this.sendDeleteROSpec();
-                break;
-            case MSG.DELETE_ROSPEC_RESPONSE:
-                this.checkResponse(data, 'DELETE_ROSPEC');
-                this.sendAddROSpec();
-                break;
-            case MSG.ADD_ROSPEC_RESPONSE:
-                this.checkResponse(data, 'ADD_ROSPEC');
-                this.sendEnableROSpec();
-                break;
-            case MSG.ENABLE_ROSPEC_RESPONSE:
-                this.checkResponse(data, 'ENABLE_ROSPEC');
-                this.sendStartROSpec();
-                break;
-            case MSG.START_ROSPEC_RESPONSE:
-                if (this.checkResponse(data, 'START_ROSPEC')) {
-                    this.rospecStarted = true;  // Now safe to process tags
-                    console.log('\nReader started - reading tags...');
-                    console.log('Press Ctrl+C to stop.\n');
-                    this.emit('ready');
-                }
+                // ERROR_MESSAGE answering a request rejects that request instead
+                if (!settled) this.handleErrorMessage(msg, data);
                 break;
             case MSG.RO_ACCESS_REPORT:
-                this.parseTagReport(data);
+                this.parseTagReport(msg, data);
                 break;
             case MSG.KEEPALIVE:
+                this.handleKeepalive();
                 this.sendKeepaliveAck();
                 break;
         }
     }
 
-    parseCapabilities(data) {
-        console.log('Parsing reader capabilities...');
-        let offset = 10;  // Skip LLRP header
+    /**
+     * Startup sequence: capabilities, SET_READER_CONFIG, DELETE_ROSPEC, then ADD/ENABLE/START_ROSPEC.
+     * Each step waits for its response; the first failure aborts the sequence.
+     * With config.rospecFallback, a rejected ROSpec is retried with the safer
+     * variants in ROSPEC_VARIANTS before giving up.
+     */
+    async startup() {
+        try {
+            await this.negotiateProtocolVersion();
+            const capabilities = await this.startupStep('GET_READER_CAPABILITIES', () => this.sendGetReaderCapabilities());
+            this.parseCapabilities(capabilities);
+            this.computePowerIndices();
+            this.selectRfMode();
+            this.setState(STATE.CONFIGURING, 'capabilities received');
+            await this.enableVendorExtensions();
+
+            if (this.config.readerConfig) {
+                await this.startupStep('SET_READER_CONFIG', () => this.sendSetReaderConfig());
+                console.log('Reader configuration applied');
+                this.startKeepaliveWatchdog(this.config.readerConfig.keepaliveIntervalMs ?? 30000);
+            }
+            await this.startupStep('DELETE_ROSPEC', () => this.sendDeleteROSpec());
+            // AccessSpecs left by an earlier session would run against our ROSpec
+            await this.deleteAccessSpec(0).catch((err) => console.warn(`Could not clear AccessSpecs: ${err.message}`));
+            const variant = await this.startROSpecWithFallback();
+            for (const spec of this.config.accessSpecs || []) {
+                await this.startupStep('ADD_ACCESSSPEC', () => this.addAccessSpec(spec));
+            }
 
-        // First, check for LLRPStatus
-        if (offset + 4 <= data.length) {
-            const statusType = data.readUInt16BE(offset) & 0x3FF;
-            if (statusType === 287) {  // LLRPStatus
-                const statusLen = data.readUInt16BE(offset + 2);
-                const statusCode = data.readUInt16BE(offset + 4);
-                if (statusCode !== 0) {
-                    console.error(`GET_READER_CAPABILITIES failed with status: ${statusCode}`);
-                    return false;
-                }
-                offset += statusLen;
+            this.activeVariant = variant.name;
+            this.reconnectAttempts = 0;
+            this.setState(STATE.INVENTORYING, `ROSpec started (variant: ${variant.name})`);  // Now safe to process tags
+            this.startReportPolling();
+            console.log(`\nReader started - reading tags... (ROSpec variant: ${variant.name})`);
+            console.log('Press Ctrl+C to stop.\n');
+            this.emit('ready', { variant: variant.name, protocolVersion: this.protocolVersion });
+            if (this.config.checkConfigDrift) await this.verifyReaderConfig();
+        } catch (err) {
+            const cause = err.cause ?? err;
+            // Connection loss is handled by the socket close handler (reconnect)
+            if (cause instanceof LLRPConnectionError) return;
+
+            console.error(`Startup aborted at ${err.step ?? 'startup'}: ${cause.message}`);
+            this.emit('error', err);
+            if (cause instanceof LLRPError) {
+                // Drop the connection so the reconnect logic retries from a clean session
+                if (this.socket) this.socket.destroy();
+            } else {
+                // Our own invalid config (TypeError): every reconnect would fail the same way
+                this.disconnect();
+            }
+        }
+    }
+
+    /**
+     * LLRP 1.1 version negotiation: ask with a version 2 GET_SUPPORTED_VERSION and
+     * switch with SET_PROTOCOL_VERSION if needed. Readers that reject the message,
+     * or ignore it, are LLRP 1.0.x and the session stays at version 1.
+     */
+    async negotiateProtocolVersion() {
+        const preferred = this.config.protocolVersion ?? 1;
+        this.protocolVersion = 1;
+        if (preferred < 2) return this.protocolVersion;
+
+        let supported;
+        try {
+            supported = await this.request(MSG.GET_SUPPORTED_VERSION, { version: 2 },
+                { timeoutMs: this.config.versionNegotiationTimeoutMs ?? 3000 });
+        } catch (err) {
+            if (err instanceof LLRPConnectionError) throw new LLRPStartupError(err.message, { step: 'GET_SUPPORTED_VERSION', cause: err });
+            console.log(`Reader does not support LLRP 1.1 (${err.message}), using LLRP 1.0.x`);
+            return this.protocolVersion;
+        }
+
+        const { currentVersion, supportedVersion } = supported.fields;
+        const target = Math.max(1, Math.min(preferred, supportedVersion));
+        if (target !== currentVersion) {
+            await this.startupStep('SET_PROTOCOL_VERSION', () => this.request(MSG.SET_PROTOCOL_VERSION,
+                { fields: { protocolVersion: target }, version: 2 }));
+        }
+        this.protocolVersion = target;
+        console.log(`Negotiated LLRP protocol version ${target} (reader supports up to ${supportedVersion})`);
+        return this.protocolVersion;
+    }
+
+    /**
+     * Pick the vendor profile for the reader's manufacturer when vendor extensions are
+     * configured, and send the vendor's enable message if it needs one. A reader that
+     * refuses it runs without extensions rather than failing startup.
+     */
+    async enableVendorExtensions() {
+        this.vendorExtensions = null;
+        const inventory = this.config.vendorInventory || {};
+        if ((this.config.vendorReportContent || []).length === 0 && Object.keys(inventory).length === 0) return;
+
+        const profile = vendorProfile(this.manufacturer);
+        if (!profile) {
+            console.warn(`  Warning: No vendor extensions for reader manufacturer ${this.manufacturer}, ignoring vendor config`);
+            return;
+        }
+
+        const enable = buildEnableExtensions(this.manufacturer);
+        if (enable) {
+            try {
+                const response = await this.request(MSG.CUSTOM_MESSAGE, { fields: enable });
+                // The response's LLRPStatus sits inside the custom message data
+                const status = findParam({ params: decodeParams(response.fields.data) }, 'LLRPStatus');
+                if (status && status.fields.statusCode !== 0) throw LLRPError.fromStatus(status, `${profile.name} extensions`);
+            } catch (err) {
+                if (err instanceof LLRPConnectionError) throw new LLRPStartupError(err.message, { step: 'ENABLE_EXTENSIONS', cause: err });
+                console.warn(`  Warning: Could not enable ${profile.name} extensions (${err.message}), continuing without them`);
+                return;
             }
         }
+        this.vendorExtensions = profile;
+        console.log(`Using ${profile.name} vendor extensions`);
+
+        const content = supportedReportContent(this.manufacturer, this.config.vendorReportContent || []);
+        const options = supportedInventoryOptions(this.manufacturer, inventory);
+        const skipped = [
+            ...(this.config.vendorReportContent || []).filter(name => !content.includes(name)),
+            ...Object.keys(inventory).filter(name => !(name in options)),
+        ];
+        for (const name of skipped) {
+            console.warn(`  Warning: ${profile.name} readers do not offer vendor setting '${name}', ignoring it`);
+        }
+    }
 
-        // Parse TLV parameters to find power table
-        while (offset + 4 <= data.length) {
-            const paramType = data.readUInt16BE(offset) & 0x3FF;
-            const paramLen = data.readUInt16BE(offset + 2);
+    // Read back the reader configuration and report mismatches; never aborts startup
+    async verifyReaderConfig() {
+        try {
+            const readerConfig = await this.getConfig();
+            // Without our own SET_READER_CONFIG, watch the interval the reader reports
+            if (!this.keepaliveTimer && readerConfig.keepalive) this.startKeepaliveWatchdog(readerConfig.keepalive.intervalMs);
+            this.checkConfigDrift(readerConfig);
+        } catch (err) {
+            if (!(err instanceof LLRPConnectionError)) console.warn(`Could not verify reader config: ${err.message}`);
+        }
+    }
 
-            if (paramLen === 0 || paramLen > data.length - offset) break;
+    // Run one startup step; failures are wrapped in LLRPStartupError
+    async startupStep(step, send, variant = null) {
+        try {
+            return await send();
+        } catch (err) {
+            // err.message already names the request and decoded status
+            throw new LLRPStartupError(err.message, { step, variant, cause: err });
+        }
+    }
 
-            // Look for RegulatoryCapabilities (143) which contains power table
-            if (paramType === PARAM.REGULATORY_CAPABILITIES) {
-                this.parseRegulatoryCapabilities(data.slice(offset, offset + paramLen));
+    async startROSpecWithFallback() {
+        const variants = (this.config.rospecFallback ? ROSPEC_VARIANTS : ROSPEC_VARIANTS.slice(0, 1))
+            // Without vendor extensions in use, noVendorExtensions would resend the configured ROSpec
+            .filter(variant => variant.name !== 'noVendorExtensions' || this.vendorExtensions);
+        let lastError = null;
+
+        for (const variant of variants) {
+            try {
+                await this.startupStep('ADD_ROSPEC', () => this.sendAddROSpec(variant), variant.name);
+                await this.startupStep('ENABLE_ROSPEC', () => this.sendEnableROSpec(), variant.name);
+                // Other start triggers run the ROSpec themselves once it is enabled
+                if (this.startTriggerType() === 'null') {
+                    await this.startupStep('START_ROSPEC', () => this.sendStartROSpec(), variant.name);
+                }
+                return variant;
+            } catch (err) {
+                // A safer variant cannot fix a lost connection or our own invalid config
+                if (err.cause instanceof LLRPConnectionError || !(err.cause instanceof LLRPError)) throw err;
+                lastError = err;
+                console.warn(`ROSpec variant '${variant.name}' failed at ${err.step}`);
+                this.emit('startupStepFailed', { step: err.step, variant: variant.name, error: err });
+
+                // Remove the half-installed ROSpec before trying the next variant
+                await this.sendDeleteROSpec().catch(() => {});
             }
+        }
+
+        throw lastError;
+    }
+
+    parseCapabilities(msg) {
+        console.log('Parsing reader capabilities...');
 
-            offset += paramLen;
+        // First, check for LLRPStatus
+        const status = findParam(msg, 'LLRPStatus');
+        if (status && status.fields.statusCode !== 0) {
+            console.error(`GET_READER_CAPABILITIES failed with status: ${status.fields.statusCode}`);
+            return false;
+        }
+
+        const general = findParam(msg, 'GeneralDeviceCapabilities');
+        this.canSetAntennaProperties = !!general?.fields.canSetAntennaProperties;
+        this.manufacturer = general ? general.fields.deviceManufacturerName : null;
+        const gpio = findParam(msg, 'GPIOCapabilities');
+        this.numGpis = gpio ? gpio.fields.numGpis : null;
+        this.canDoStateAwareSingulation = !!findParam(msg, 'LLRPCapabilities')?.fields.canDoTagInventoryStateAwareSingulation;
+        const c1g2 = findDeep(msg, 'C1G2LLRPCapabilities')[0];
+        this.maxSelectFilters = c1g2 ? c1g2.fields.maxNumSelectFiltersPerQuery : 0;
+
+        // RegulatoryCapabilities contains the power table and hop tables
+        for (const regulatory of findParams(msg, 'RegulatoryCapabilities')) {
+            this.parseRegulatoryCapabilities(regulatory);
         }
 
         if (this.powerTable.length === 0) {
@@ -301,86 +845,154 @@ class LLRPReader extends EventEmitter {
             console.log(`  Power range: ${minPower.toFixed(1)} - ${maxPower.toFixed(1)} dBm`);
         }
 
-        // Select hop table ID
-        if (this.hopTableIds.length > 0) {
-            this.hopTableId = this.hopTableIds[0];
-            console.log(`  Using HopTableID: ${this.hopTableId} (found ${this.hopTableIds.length} tables)`);
-        } else {
-            this.hopTableId = 1;  // Fallback
-            console.warn('  Warning: No hop table found, defaulting HopTableID=1');
-        }
-
+        this.selectFrequencies();
         return true;
     }
 
-    parseRegulatoryCapabilities(data) {
-        // RegulatoryCapabilities structure:
-        // Header (4 bytes) + CountryCode (2 bytes) + CommunicationsStandard (2 bytes)
-        // + UHFBandCapabilities (nested)
-        let offset = 4;  // Skip TLV header
+    // Pick the HopTableID from config.hopTableId and check config.channelIndex against the frequency tables
+    selectFrequencies() {
+        const { hopTableId = null, channelIndex = 0 } = this.config;
+        for (const table of this.hopTables) {
+            console.log(`  Hop table ${table.hopTableId}: ${table.frequenciesMhz.length} channels, ` +
+                `${Math.min(...table.frequenciesMhz)}-${Math.max(...table.frequenciesMhz)} MHz`);
+        }
+        if (this.fixedFrequenciesMhz.length > 0) {
+            console.log(`  Fixed frequencies: ${this.fixedFrequenciesMhz.join(', ')} MHz`);
+        }
 
-        if (offset + 4 > data.length) return;
+        if (this.hopTables.length > 0) {
+            const requested = hopTableId === null ? null : this.hopTables.find(table => table.hopTableId === hopTableId);
+            if (hopTableId !== null && !requested) {
+                console.warn(`  Warning: Reader has no hop table ${hopTableId}, using the first one`);
+            }
+            this.hopTableId = (requested || this.hopTables[0]).hopTableId;
+            console.log(`  Using HopTableID: ${this.hopTableId} (found ${this.hopTables.length} tables)`);
+        } else {
+            this.hopTableId = hopTableId ?? 1;  // Fallback
+            if (this.hopping !== false) console.warn(`  Warning: No hop table found, defaulting HopTableID=${this.hopTableId}`);
+        }
 
-        const countryCode = data.readUInt16BE(offset);
-        offset += 2;
-        const commStandard = data.readUInt16BE(offset);
-        offset += 2;
+        if (channelIndex > 0) {
+            if (this.hopping) {
+                console.warn(`  Warning: Reader is in a hopping region, fixed channel ${channelIndex} may be ignored`);
+            } else if (this.fixedFrequenciesMhz.length > 0 && channelIndex > this.fixedFrequenciesMhz.length) {
+                console.warn(`  Warning: Channel ${channelIndex} is outside the ${this.fixedFrequenciesMhz.length}-entry FixedFrequencyTable`);
+            }
+            const frequencyMhz = this.channelFrequencyMhz(channelIndex);
+            console.log(`  Using fixed channel ${channelIndex}${frequencyMhz !== null ? ` (${frequencyMhz} MHz)` : ''}`);
+        }
+    }
 
-        console.log(`  Country code: ${countryCode}, Comm standard: ${commStandard}`);
+    /**
+     * Frequency in MHz for a reported ChannelIndex (1-based): an entry of the active
+     * hop table on hopping readers, of the FixedFrequencyTable otherwise. null if unknown.
+     */
+    channelFrequencyMhz(channelIndex) {
+        const hopTable = this.hopTables.find(table => table.hopTableId === this.hopTableId);
+        const frequencies = this.hopping === false || !hopTable ? this.fixedFrequenciesMhz : hopTable.frequenciesMhz;
+        return frequencies[channelIndex - 1] ?? null;
+    }
 
-        // Parse nested parameters (UHFBandCapabilities, etc.)
-        while (offset + 4 <= data.length) {
-            const paramType = data.readUInt16BE(offset) & 0x3FF;
-            const paramLen = data.readUInt16BE(offset + 2);
+    parseRegulatoryCapabilities(regulatory) {
+        // RegulatoryCapabilities: CountryCode + CommunicationsStandard + UHFBandCapabilities (nested)
+        const { countryCode, communicationsStandard } = regulatory.fields;
+        console.log(`  Country code: ${countryCode}, Comm standard: ${communicationsStandard}`);
 
-            if (paramLen === 0 || paramLen > data.length - offset) break;
+        for (const uhfBand of findParams(regulatory, 'UHFBandCapabilities')) {
+            this.parseUHFBandCapabilities(uhfBand);
+        }
+    }
+
+    parseUHFBandCapabilities(uhfBand) {
+        // UHFBandCapabilities contains TransmitPowerLevelTableEntry and FrequencyInformation
+        for (const entry of findParams(uhfBand, 'TransmitPowerLevelTableEntry')) {
+            // TransmitPowerValue is in 0.01 dBm (signed)
+            const { index, transmitPowerValue } = entry.fields;
+            this.powerTable.push({ index, powerDbm: transmitPowerValue / 100.0 });
+        }
 
-            if (paramType === 144) {  // UHFBandCapabilities
-                this.parseUHFBandCapabilities(data.slice(offset, offset + paramLen));
+        // FrequencyHopTable / FixedFrequencyTable are nested inside FrequencyInformation, frequencies in kHz
+        const frequencyInformation = findParam(uhfBand, 'FrequencyInformation');
+        if (frequencyInformation) this.hopping = frequencyInformation.fields.hopping;
+        for (const hopTable of findDeep(uhfBand, 'FrequencyHopTable')) {
+            if (hopTable.fields.hopTableId > 0) {
+                this.hopTables.push({
+                    hopTableId: hopTable.fields.hopTableId,
+                    frequenciesMhz: hopTable.fields.frequencies.map(khz => khz / 1000),
+                });
             }
+        }
+        for (const fixedTable of findDeep(uhfBand, 'FixedFrequencyTable')) {
+            this.fixedFrequenciesMhz.push(...fixedTable.fields.frequencies.map(khz => khz / 1000));
+        }
 
-            offset += paramLen;
+        // UHFC1G2RFModeTable: one entry per Gen2 link profile the reader offers
+        for (const entry of findDeep(uhfBand, 'UHFC1G2RFModeTableEntry')) {
+            this.rfModes.push(this.decodeRfMode(entry.fields));
         }
-    }
 
-    parseUHFBandCapabilities(data) {
-        // UHFBandCapabilities contains TransmitPowerLevelTableEntry and FrequencyHopTable
-        let offset = 4;  // Skip TLV header
+        // Sort power table by dBm value
+        this.powerTable.sort((a, b) => a.powerDbm - b.powerDbm);
+    }
 
-        while (offset + 4 <= data.length) {
-            const paramType = data.readUInt16BE(offset) & 0x3FF;
-            const paramLen = data.readUInt16BE(offset + 2);
+    decodeRfMode(fields) {
+        return {
+            modeId: fields.modeIdentifier,
+            dr: fields.drValue ? '64/3' : '8',  // Divide ratio
+            mValue: fields.mValue,
+            encoding: MILLER_ENCODINGS[fields.mValue] ?? `M${fields.mValue}`,
+            forwardLinkModulation: FORWARD_LINK_MODULATIONS[fields.forwardLinkModulation] ?? `unknown_${fields.forwardLinkModulation}`,
+            spectralMaskIndicator: fields.spectralMaskIndicator,
+            spectralMask: SPECTRAL_MASKS[fields.spectralMaskIndicator] ?? `unknown_${fields.spectralMaskIndicator}`,
+            epcHagTcConformance: fields.epcHagTcConformance,
+            bdrBps: fields.bdrValue,           // Reverse (tag -> reader) data rate
+            pie: fields.pieValue / 1000,       // Forward link PIE ratio
+            minTariNs: fields.minTariValue,    // Forward link Tari range
+            maxTariNs: fields.maxTariValue,
+            stepTariNs: fields.stepTariValue,
+        };
+    }
 
-            if (paramLen === 0 || paramLen > data.length - offset) break;
+    // Pick this.rfModeId from config.rfModeIndex / config.rfModePreference and the reader's mode table
+    selectRfMode() {
+        const { rfModeIndex = null, rfModePreference = null, rfTari = 0 } = this.config;
+        if (this.rfModes.length > 0) {
+            console.log(`  RF modes: ${this.rfModes.map(mode =>
+                `${mode.modeId} (${mode.encoding}, ${mode.bdrBps / 1000} kbps, Tari ${mode.minTariNs / 1000}-${mode.maxTariNs / 1000} us, ${mode.spectralMask})`).join(', ')}`);
+        }
 
-            if (paramType === PARAM.TRANSMIT_POWER_LEVEL_TABLE_ENTRY) {
-                // TransmitPowerLevelTableEntry: Header (4) + Index (2) + TransmitPowerValue (2)
-                if (paramLen >= 8) {
-                    const index = data.readUInt16BE(offset + 4);
-                    const powerValue = data.readInt16BE(offset + 6);  // Power in 0.01 dBm (signed)
-                    const powerDbm = powerValue / 100.0;
-                    this.powerTable.push({ index, powerDbm });
-                }
-            } else if (paramType === PARAM.FREQUENCY_HOP_TABLE) {
-                // FrequencyHopTable: Header (4) + HopTableID (2 bytes) + ...
-                if (paramLen >= 6) {
-                    const hopTableId = data.readUInt16BE(offset + 4);
-                    if (hopTableId > 0) {
-                        this.hopTableIds.push(hopTableId);
-                    }
-                }
+        this.rfModeId = null;
+        if (rfModeIndex !== null) {
+            if (this.rfModes.length > 0 && !this.rfModes.some(mode => mode.modeId === rfModeIndex)) {
+                console.warn(`  Warning: Reader has no RF mode ${rfModeIndex}, using its default mode`);
+                return;
             }
-
-            offset += paramLen;
+            this.rfModeId = rfModeIndex;
+        } else if (rfModePreference !== null) {
+            const compare = RF_MODE_PREFERENCES[rfModePreference];
+            if (!compare) {
+                console.warn(`  Warning: Unknown RF mode preference '${rfModePreference}', using the reader's default mode`);
+                return;
+            }
+            if (this.rfModes.length === 0) {
+                console.warn(`  Warning: Reader reported no RF mode table, cannot apply preference '${rfModePreference}'`);
+                return;
+            }
+            this.rfModeId = [...this.rfModes].sort(compare)[0].modeId;
+        } else {
+            return;
         }
 
-        // Sort power table by dBm value
-        this.powerTable.sort((a, b) => a.powerDbm - b.powerDbm);
+        const mode = this.rfModes.find(m => m.modeId === this.rfModeId);
+        if (mode && rfTari && (rfTari < mode.minTariNs || rfTari > mode.maxTariNs)) {
+            console.warn(`  Warning: Tari ${rfTari}ns is outside RF mode ${mode.modeId} range ${mode.minTariNs}-${mode.maxTariNs}ns`);
+        }
+        console.log(`  Using RF mode ${this.rfModeId}${rfModePreference !== null && rfModeIndex === null ? ` (preference: ${rfModePreference})` : ''}`);
     }
 
     computePowerIndices() {
         // Convert desired dBm values to reader power table indices
-        for (const ant of this.config.antennas) {
+        for (const ant of this.inventoryAntennas()) {
             const desiredDbm = this.config.antennaPowerDbm[ant] || 30;
             const index = this.findClosestPowerIndex(desiredDbm);
             this.antennaPowerIndex[ant] = index;
@@ -390,6 +1002,12 @@ class LLRPReader extends EventEmitter {
         }
     }
 
+    // config.antennas plus any antenna used by an AISpec phase
+    inventoryAntennas() {
+        const phaseAntennas = (this.config.aiSpecs || []).flatMap(phase => phase.antennas || []);
+        return [...new Set([...this.config.antennas, ...phaseAntennas])];
+    }
+
     findClosestPowerIndex(desiredDbm) {
         if (this.powerTable.length === 0) {
             // No power table available, use reasonable default index
@@ -412,284 +1030,966 @@ class LLRPReader extends EventEmitter {
         return closest.index;
     }
 
-    checkResponse(data, msgName) {
-        // Check LLRPStatus in response - parse full error details
-        // Returns true if successful, false if error
-        let offset = 10;  // Skip LLRP header
-        let success = true;
-
-        while (offset + 4 <= data.length) {
-            const paramType = data.readUInt16BE(offset) & 0x3FF;
-            const paramLen = data.readUInt16BE(offset + 2);
-
-            if (paramLen === 0 || paramLen > data.length - offset) break;
-
-            if (paramType === 287) { // LLRPStatus
-                const statusCode = data.readUInt16BE(offset + 4);
-                if (statusCode !== 0) {
-                    success = false;
-                    console.error(`${msgName} failed with status code: ${statusCode}`);
-
-                    // Parse error description if present
-                    if (paramLen > 6) {
-                        const descLen = data.readUInt16BE(offset + 6);
-                        if (descLen > 0 && offset + 8 + descLen <= data.length) {
-                            const desc = data.slice(offset + 8, offset + 8 + descLen).toString('utf8');
-                            console.error(`  Error description: ${desc}`);
-                        }
-
-                        // Check for nested FieldError (288) or ParameterError (289)
-                        let nestedOffset = offset + 8 + (data.readUInt16BE(offset + 6) || 0);
-                        while (nestedOffset + 4 <= offset + paramLen) {
-                            const nestedType = data.readUInt16BE(nestedOffset) & 0x3FF;
-                            const nestedLen = data.readUInt16BE(nestedOffset + 2);
-
-                            if (nestedLen === 0 || nestedLen > paramLen) break;
-
-                            if (nestedType === 288 && nestedLen >= 8) { // FieldError
-                                const fieldNum = data.readUInt16BE(nestedOffset + 4);
-                                const errorCode = data.readUInt16BE(nestedOffset + 6);
-                                console.error(`  FieldError: field=${fieldNum}, code=${errorCode}`);
-                            }
-                            if (nestedType === 289 && nestedLen >= 8) { // ParameterError
-                                const paramErrorType = data.readUInt16BE(nestedOffset + 4);
-                                const errorCode = data.readUInt16BE(nestedOffset + 6);
-                                console.error(`  ParameterError: paramType=${paramErrorType}, code=${errorCode}`);
-                            }
-
-                            nestedOffset += nestedLen;
-                        }
-                    }
-                }
+    // ROSpec start/end (from triggers, START/STOP_ROSPEC or preemption) -> 'roSpecEvent'
+    handleReaderEvent(msg) {
+        for (const event of findDeep(msg, 'ROSpecEvent')) {
+            const { eventType, roSpecId, preemptingRoSpecId } = event.fields;
+            const name = ROSPEC_EVENTS[eventType] ?? `unknown_${eventType}`;
+            if (this.config.debugRx) console.log(`ROSpec ${roSpecId} event: ${name}`);
+            this.emit('roSpecEvent', { event: name, roSpecId, preemptingRoSpecId });
+
+            if (name === 'end' && this.state === STATE.INVENTORYING && this.loopsByRestart()) {
+                this.sendStartROSpec().catch((err) => console.warn(`Could not restart ROSpec: ${err.message}`));
+            }
+        }
+    }
+
+    // Unsolicited ERROR_MESSAGE: decode the status and surface it on 'error'
+    handleErrorMessage(msg, data) {
+        const status = findParam(msg, 'LLRPStatus');
+        const details = { messageId: msg.messageId, response: msg };
+        const err = status
+            ? LLRPError.fromStatus(status, 'Reader sent ERROR_MESSAGE', details)
+            : new LLRPError('Reader sent ERROR_MESSAGE without LLRPStatus', details);
+
+        console.error(`[ERROR] ${err.message}`);
+        if (this.config.debugRx) console.error('[ERROR] Full message hex:', data.toString('hex'));
+        this.emit('error', err);
+    }
+
+    sendMessage(type, { fields = {}, params = [], version = this.protocolVersion } = {}) {
+        if (!this.socket || !this.connected) return null;
+
+        const messageId = this.messageId++;
+        this.socket.write(encodeMessage({ type, messageId, version, fields, params }));
+        return messageId;
+    }
+
+    /**
+     * Send a message and wait for the response carrying the same MessageID.
+     * Resolves with the decoded response; rejects with LLRPError on a non-zero
+     * LLRPStatus or ERROR_MESSAGE, LLRPTimeoutError if nothing arrives in time,
+     * and LLRPConnectionError if the connection is down or closes first.
+     */
+    request(type, payload = {}, { timeoutMs = this.config.requestTimeoutMs ?? 10000 } = {}) {
+        return new Promise((resolve, reject) => {
+            const messageId = this.sendMessage(type, payload);
+            if (messageId === null) {
+                reject(new LLRPConnectionError(`Cannot send ${messageName(type)}: not connected`, { requestType: type }));
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                this.pendingRequests.delete(messageId);
+                reject(new LLRPTimeoutError(`${messageName(type)} timed out after ${timeoutMs}ms`, {
+                    requestType: type, messageId, timeoutMs,
+                }));
+            }, timeoutMs);
+
+            this.pendingRequests.set(messageId, {
+                resolve, reject, timer, type, responseType: responseType(type), sentAt: Date.now(),
+            });
+        });
+    }
+
+    // Update round-trip metrics and emit 'latency' with { requestType, rttMs, avgRttMs }
+    recordLatency(type, rttMs) {
+        const { avgRttMs } = this.metrics;
+        this.metrics.lastRttMs = rttMs;
+        this.metrics.avgRttMs = avgRttMs === null ? rttMs : avgRttMs * 0.8 + rttMs * 0.2;
+        this.emit('latency', { requestType: messageName(type), rttMs, avgRttMs: this.metrics.avgRttMs });
+    }
+
+    // Snapshot of keepalive and latency metrics
+    getMetrics() {
+        return { ...this.metrics, keepaliveIntervalMs: this.keepaliveIntervalMs };
+    }
+
+    /**
+     * Resolve/reject the request awaiting msg.messageId; false if none was pending.
+     * Only its response type or ERROR_MESSAGE settles it: other messages that happen
+     * to reuse the MessageID (a reader's KEEPALIVE, say) go to the normal handlers.
+     */
+    settleRequest(msg) {
+        const pending = this.pendingRequests.get(msg.messageId);
+        if (!pending || (msg.type !== pending.responseType && msg.type !== MSG.ERROR_MESSAGE)) return false;
+
+        clearTimeout(pending.timer);
+        this.pendingRequests.delete(msg.messageId);
+        this.recordLatency(pending.type, Date.now() - pending.sentAt);
+
+        const details = { requestType: pending.type, messageId: msg.messageId, response: msg };
+        const status = findParam(msg, 'LLRPStatus');
+        if (msg.type === MSG.ERROR_MESSAGE) {
+            const context = `${messageName(pending.type)} rejected with ERROR_MESSAGE`;
+            pending.reject(status ? LLRPError.fromStatus(status, context, details) : new LLRPError(context, details));
+        } else if (status && status.fields.statusCode !== 0) {
+            pending.reject(LLRPError.fromStatus(status, `${messageName(pending.type)} failed`, details));
+        } else {
+            pending.resolve(msg);
+        }
+        return true;
+    }
+
+    rejectPendingRequests(reason) {
+        for (const [messageId, pending] of this.pendingRequests) {
+            clearTimeout(pending.timer);
+            pending.reject(new LLRPConnectionError(`${messageName(pending.type)}: ${reason}`, {
+                requestType: pending.type, messageId,
+            }));
+        }
+        this.pendingRequests.clear();
+    }
+
+    sendGetReaderCapabilities() {
+        // GET_READER_CAPABILITIES: RequestedData = All (0)
+        return this.request(MSG.GET_READER_CAPABILITIES, { fields: { requestedData: 0 } });
+    }
+
+    sendSetReaderConfig() {
+        // Resolves once SET_READER_CONFIG_RESPONSE reports success, rejects with the decoded status otherwise
+        return this.request(MSG.SET_READER_CONFIG, this.buildReaderConfig());
+    }
+
+    // SET_READER_CONFIG payload from config.readerConfig
+    buildReaderConfig() {
+        const readerConfig = this.config.readerConfig || {};
+        const params = [];
+
+        // KeepaliveSpec: Periodic (1) at the configured interval, or Null (0) to disable
+        const keepaliveMs = readerConfig.keepaliveIntervalMs ?? 30000;
+        params.push(param('KeepaliveSpec', {
+            keepaliveTriggerType: keepaliveMs > 0 ? 1 : 0,
+            periodicTriggerValue: keepaliveMs > 0 ? keepaliveMs : 0,
+        }));
+
+        // ReaderEventNotificationSpec: list every event type so none stay enabled from earlier sessions
+        const events = readerConfig.events || {};
+        for (const name of Object.keys(events)) {
+            if (!(name in READER_EVENT_TYPES)) console.warn(`  Warning: Unknown reader event '${name}' ignored`);
+        }
+        params.push(param('ReaderEventNotificationSpec', {}, Object.entries(READER_EVENT_TYPES).map(([name, eventType]) =>
+            param('EventNotificationState', { eventType, notificationState: !!events[name] }))));
+
+        // AntennaProperties: gain only, and only if the reader accepts it
+        const antennaGain = readerConfig.antennaGain || {};
+        const gainAntennas = Object.keys(antennaGain).map(Number);
+        if (gainAntennas.length > 0 && !this.canSetAntennaProperties) {
+            console.warn('  Warning: Reader does not support setting AntennaProperties, antennaGain ignored');
+        } else {
+            for (const antennaId of gainAntennas) {
+                params.push(param('AntennaProperties', { antennaConnected: true, antennaId, antennaGain: antennaGain[antennaId] }));
             }
+        }
+
+        params.push(param('EventsAndReports', {
+            holdEventsAndReportsUponReconnect: !!readerConfig.holdEventsAndReportsUponReconnect,
+        }));
+
+        const enabledEvents = Object.keys(READER_EVENT_TYPES).filter(name => events[name]);
+        console.log(`Setting reader config: keepalive ${keepaliveMs > 0 ? `${keepaliveMs}ms` : 'off'}, ` +
+            `events [${enabledEvents.join(', ')}]${readerConfig.restoreFactorySettings ? ', restoring factory settings' : ''}`);
 
-            offset += paramLen;
+        return { fields: { restoreFactorySettings: !!readerConfig.restoreFactorySettings }, params };
+    }
+
+    /**
+     * GET_READER_CONFIG, decoded into a plain object.
+     * requestedData is a READER_CONFIG_DATA key (default 'all'); antennaId 0 means all antennas.
+     * Sections the reader did not return are null (or empty for per-antenna maps).
+     */
+    async getConfig({ requestedData = 'all', antennaId = 0 } = {}) {
+        if (!(requestedData in READER_CONFIG_DATA)) throw new TypeError(`Unknown requestedData '${requestedData}'`);
+        const response = await this.request(MSG.GET_READER_CONFIG, {
+            fields: { antennaId, requestedData: READER_CONFIG_DATA[requestedData], gpiPortNum: 0, gpoPortNum: 0 },
+        });
+        return this.decodeReaderConfig(response);
+    }
+
+    decodeReaderConfig(msg) {
+        const config = {
+            identification: null,
+            antennaProperties: {},      // antennaId -> { connected, gain }
+            antennaConfiguration: {},   // antennaId -> { receiverSensitivity, hopTableId, channelIndex, transmitPower, rfModeIndex, session }
+            keepalive: null,            // { triggerType, intervalMs }
+            roReportSpec: null,         // { trigger, n, contentSelector }
+            events: null,               // READER_EVENT_TYPES name -> enabled
+            accessReportTrigger: null,
+            eventsAndReports: null,     // { holdEventsAndReportsUponReconnect }
+            configurationStateValue: null,
+            gpiPorts: {},               // port -> { enabled, state }
+            gpoPorts: {},               // port -> data
+        };
+
+        const identification = findParam(msg, 'Identification');
+        if (identification) {
+            const { idType, readerId } = identification.fields;
+            // idType 0 = MAC address, 1 = EPC
+            config.identification = { idType, readerId: Buffer.from(readerId).toString('hex').toUpperCase() };
         }
 
-        return success;
+        for (const props of findParams(msg, 'AntennaProperties')) {
+            const { antennaId, antennaConnected, antennaGain } = props.fields;
+            config.antennaProperties[antennaId] = { connected: antennaConnected, gain: antennaGain };
+        }
+
+        for (const antennaConfig of findParams(msg, 'AntennaConfiguration')) {
+            const receiver = findParam(antennaConfig, 'RFReceiver');
+            const transmitter = findParam(antennaConfig, 'RFTransmitter');
+            const rfControl = findDeep(antennaConfig, 'C1G2RFControl')[0];
+            const singulation = findDeep(antennaConfig, 'C1G2SingulationControl')[0];
+            config.antennaConfiguration[antennaConfig.fields.antennaId] = {
+                receiverSensitivity: receiver ? receiver.fields.receiverSensitivity : null,
+                hopTableId: transmitter ? transmitter.fields.hopTableId : null,
+                channelIndex: transmitter ? transmitter.fields.channelIndex : null,
+                transmitPower: transmitter ? transmitter.fields.transmitPower : null,  // Power table index
+                rfModeIndex: rfControl ? rfControl.fields.modeIndex : null,
+                session: singulation ? singulation.fields.session : null,
+            };
+        }
+
+        const keepalive = findParam(msg, 'KeepaliveSpec');
+        if (keepalive) {
+            const { keepaliveTriggerType, periodicTriggerValue } = keepalive.fields;
+            config.keepalive = { triggerType: keepaliveTriggerType, intervalMs: keepaliveTriggerType === 1 ? periodicTriggerValue : 0 };
+        }
+
+        const roReportSpec = findParam(msg, 'ROReportSpec');
+        if (roReportSpec) {
+            const selector = findParam(roReportSpec, 'TagReportContentSelector');
+            config.roReportSpec = {
+                trigger: roReportSpec.fields.roReportTrigger,
+                n: roReportSpec.fields.n,
+                contentSelector: selector ? { ...selector.fields } : null,
+            };
+        }
+
+        const eventSpec = findParam(msg, 'ReaderEventNotificationSpec');
+        if (eventSpec) {
+            config.events = {};
+            for (const state of findParams(eventSpec, 'EventNotificationState')) {
+                const name = Object.keys(READER_EVENT_TYPES).find(key => READER_EVENT_TYPES[key] === state.fields.eventType);
+                config.events[name ?? state.fields.eventType] = state.fields.notificationState;
+            }
+        }
+
+        const accessReportSpec = findParam(msg, 'AccessReportSpec');
+        if (accessReportSpec) config.accessReportTrigger = accessReportSpec.fields.accessReportTrigger;
+
+        const eventsAndReports = findParam(msg, 'EventsAndReports');
+        if (eventsAndReports) config.eventsAndReports = { ...eventsAndReports.fields };
+
+        const stateValue = findParam(msg, 'LLRPConfigurationStateValue');
+        if (stateValue) config.configurationStateValue = stateValue.fields.llrpConfigurationStateValue;
+
+        for (const gpi of findParams(msg, 'GPIPortCurrentState')) {
+            config.gpiPorts[gpi.fields.gpiPortNum] = { enabled: gpi.fields.gpiConfig, state: gpi.fields.gpiState };
+        }
+        for (const gpo of findParams(msg, 'GPOWriteData')) {
+            config.gpoPorts[gpo.fields.gpoPortNumber] = gpo.fields.gpoData;
+        }
+
+        return config;
     }
 
-    handleErrorMessage(data) {
-        console.error('[ERROR] LLRP Error Message received');
-        console.error('[ERROR] Full message hex:', data.toString('hex'));
+    /**
+     * Compare a getConfig() result with inventoryAntennas(), the computed power indices
+     * and config.readerConfig. Emits 'configDrift' per mismatch with
+     * { setting, antennaId, expected, actual, message } and returns the list.
+     */
+    checkConfigDrift(readerConfig) {
+        const drifts = [];
+        const drift = (setting, antennaId, expected, actual, message) => {
+            drifts.push({ setting, antennaId, expected, actual, message });
+        };
 
-        // Parse the error message structure
-        let offset = 10; // Skip LLRP header
-        while (offset < data.length - 4) {
-            const paramType = data.readUInt16BE(offset) & 0x3FF;
-            const paramLen = data.readUInt16BE(offset + 2);
+        const variant = ROSPEC_VARIANTS.find(v => v.name === this.activeVariant);
+        const sentInventoryCommand = variant && !variant.omitInventoryCommand && !variant.omitAntennaConfiguration;
+        const phasePower = (this.config.aiSpecs || []).some(phase => phase.powerDbm !== undefined);
 
-            if (paramLen === 0 || paramLen > data.length - offset) break;
+        for (const ant of this.inventoryAntennas()) {
+            const props = readerConfig.antennaProperties[ant];
+            if (props && !props.connected) {
+                drift('antennaConnected', ant, true, false, `Antenna ${ant} is in use but the reader reports it disconnected`);
+            }
 
-            console.error(`[ERROR] Parameter Type: ${paramType}, Length: ${paramLen}`);
+            const antennaConfig = readerConfig.antennaConfiguration[ant];
+            // Per-phase power leaves no single expected power index
+            const expectedPower = phasePower ? undefined : this.antennaPowerIndex[ant];
+            if (!antennaConfig) {
+                drift('antennaConfiguration', ant, ant, null, `Reader returned no AntennaConfiguration for antenna ${ant}`);
+            } else if (expectedPower !== undefined && antennaConfig.transmitPower !== null && antennaConfig.transmitPower !== expectedPower) {
+                const dbm = (index) => this.powerTable.find(p => p.index === index)?.powerDbm?.toFixed(1) ?? '?';
+                drift('transmitPower', ant, expectedPower, antennaConfig.transmitPower,
+                    `Antenna ${ant} power index is ${antennaConfig.transmitPower} (${dbm(antennaConfig.transmitPower)} dBm), ` +
+                    `requested ${expectedPower} (${dbm(expectedPower)} dBm)`);
+            }
 
-            if (paramType === 287) { // LLRPStatus
-                const statusCode = data.readUInt16BE(offset + 4);
-                console.error(`[ERROR] LLRPStatus Code: ${statusCode}`);
-                // Check for error description
-                const descLen = data.readUInt16BE(offset + 6);
-                if (descLen > 0 && offset + 8 + descLen <= data.length) {
-                    const desc = data.slice(offset + 8, offset + 8 + descLen).toString('utf8');
-                    console.error(`[ERROR] Description: ${desc}`);
-                }
+            const channelIndex = this.config.channelIndex ?? 0;
+            if (channelIndex > 0 && antennaConfig && antennaConfig.channelIndex !== null && antennaConfig.channelIndex !== channelIndex) {
+                drift('channelIndex', ant, channelIndex, antennaConfig.channelIndex,
+                    `Antenna ${ant} uses channel index ${antennaConfig.channelIndex}, requested fixed channel ${channelIndex}`);
+            }
+
+            if (sentInventoryCommand && this.rfModeId !== null && antennaConfig && antennaConfig.rfModeIndex !== null &&
+                antennaConfig.rfModeIndex !== this.rfModeId) {
+                drift('rfMode', ant, this.rfModeId, antennaConfig.rfModeIndex,
+                    `Antenna ${ant} uses RF mode ${antennaConfig.rfModeIndex}, requested ${this.rfModeId}`);
             }
 
-            if (paramType === 288) { // FieldError
-                const fieldNum = data.readUInt16BE(offset + 4);
-                const errorCode = data.readUInt16BE(offset + 6);
-                console.error(`[ERROR] FieldError - Field: ${fieldNum}, Code: ${errorCode}`);
+            const singulation = sentInventoryCommand ? this.singulationFor(ant) : null;
+            if (singulation && antennaConfig && antennaConfig.session !== null && antennaConfig.session !== singulation.session) {
+                drift('session', ant, singulation.session, antennaConfig.session,
+                    `Antenna ${ant} uses Gen2 session ${antennaConfig.session}, requested ${singulation.session}`);
             }
+        }
 
-            if (paramType === 289) { // ParameterError
-                const paramErrorType = data.readUInt16BE(offset + 4);
-                const errorCode = data.readUInt16BE(offset + 6);
-                console.error(`[ERROR] ParameterError - ParamType: ${paramErrorType}, Code: ${errorCode}`);
+        const requested = this.config.readerConfig;
+        if (requested && readerConfig.keepalive) {
+            const expectedMs = requested.keepaliveIntervalMs ?? 30000;
+            if (readerConfig.keepalive.intervalMs !== expectedMs) {
+                drift('keepaliveIntervalMs', null, expectedMs, readerConfig.keepalive.intervalMs,
+                    `Keepalive interval is ${readerConfig.keepalive.intervalMs}ms, requested ${expectedMs}ms`);
+            }
+        }
+        if (requested && readerConfig.events) {
+            for (const name of Object.keys(READER_EVENT_TYPES)) {
+                const expected = !!(requested.events || {})[name];
+                if (name in readerConfig.events && readerConfig.events[name] !== expected) {
+                    drift('events', null, expected, readerConfig.events[name],
+                        `Reader event '${name}' is ${readerConfig.events[name] ? 'enabled' : 'disabled'}, requested ${expected ? 'enabled' : 'disabled'}`);
+                }
             }
+        }
 
-            offset += paramLen;
+        if (drifts.length === 0) {
+            console.log('Reader config matches the requested setup');
         }
+        for (const entry of drifts) {
+            console.warn(`Config drift: ${entry.message}`);
+            this.emit('configDrift', entry);
+        }
+        return drifts;
     }
 
-    sendMessage(type, payload = Buffer.alloc(0)) {
-        if (!this.socket || !this.connected) return;
+    /**
+     * Install an AccessSpec that runs C1G2 operations on tags seen by the ROSpec,
+     * then enable it. spec: { operations, target, antennaId = 0, operationCount = 0 }
+     * (see llrp-access.js for operation descriptors and target). Resolves with the
+     * AccessSpecID. AccessSpecs added here last for the current session only;
+     * config.accessSpecs are reinstalled after every reconnect.
+     */
+    async addAccessSpec({ operations = [], target = {}, antennaId = 0, operationCount = 0 } = {}) {
+        if (operations.length === 0) throw new TypeError('AccessSpec needs at least one operation');
+
+        const accessSpecId = this.nextAccessSpecId++;
+        const ops = operations.map(op => ({
+            ...op,
+            name: op.name ?? op.bank,
+            opSpecId: this.allocateOpSpecId(),
+            accessSpecId,
+        }));
+
+        // ROSpecID 1 = the ROSpec installed by startup
+        const accessSpec = buildAccessSpec({ accessSpecId, roSpecId: 1, antennaId, operationCount, target, operations: ops });
+        await this.request(MSG.ADD_ACCESSSPEC, { params: [accessSpec] });
+
+        this.accessSpecs.set(accessSpecId, { accessSpecId, operations: ops, target, antennaId, operationCount });
+        for (const op of ops) this.opSpecs.set(op.opSpecId, op);
 
-        const header = Buffer.alloc(10);
-        const msgLen = 10 + payload.length;
+        try {
+            await this.request(MSG.ENABLE_ACCESSSPEC, { fields: { accessSpecId } });
+        } catch (err) {
+            await this.deleteAccessSpec(accessSpecId).catch(() => {});
+            throw err;
+        }
 
-        // Correct LLRP header byte 0 (matches the working minimal script)
-        header.writeUInt8((0x04) | ((type >> 8) & 0x03), 0);
-        header.writeUInt8(type & 0xFF, 1);
-        header.writeUInt32BE(msgLen, 2);
-        header.writeUInt32BE(this.messageId++, 6);
+        console.log(`AccessSpec ${accessSpecId} enabled: ${ops.map(op => `${op.type} ${op.name}`).join(', ')}`);
+        return accessSpecId;
+    }
 
-        this.socket.write(Buffer.concat([header, payload]));
+    // Delete one AccessSpec, or all of them with accessSpecId 0
+    async deleteAccessSpec(accessSpecId = 0) {
+        await this.request(MSG.DELETE_ACCESSSPEC, { fields: { accessSpecId } });
+        this.forgetAccessSpec(accessSpecId);
     }
 
-    sendGetReaderCapabilities() {
-        // GET_READER_CAPABILITIES: RequestedData = All (0)
-        const payload = Buffer.from([0x00]);
-        this.sendMessage(MSG.GET_READER_CAPABILITIES, payload);
+    // Drop local bookkeeping for an AccessSpec (0 = all) without telling the reader
+    forgetAccessSpec(accessSpecId) {
+        const ids = accessSpecId === 0 ? [...this.accessSpecs.keys()] : [accessSpecId];
+        for (const id of ids) {
+            const spec = this.accessSpecs.get(id);
+            if (!spec) continue;
+            for (const op of spec.operations) this.opSpecs.delete(op.opSpecId);
+            this.accessSpecs.delete(id);
+        }
     }
 
-    sendSetReaderConfig() {
-        // SET_READER_CONFIG with keepalives enabled
-        // This is called after capabilities for Zebra compatibility
-        const payload = Buffer.from([
-            0x00,  // RestoreFactorySettings = false
-            // KeepaliveSpec (Type 220)
-            0x00, 0xdc, 0x00, 0x09,  // Type 220, Length 9
-            0x01,                     // KeepaliveTriggerType = Periodic
-            0x00, 0x00, 0x75, 0x30,  // TimeInterval = 30000ms
-        ]);
-        this.sendMessage(MSG.SET_READER_CONFIG, payload);
+    /**
+     * Run one C1G2 operation through a temporary AccessSpec on the running ROSpec,
+     * so the configured antennas and power apply. Stops after operationCount tags
+     * (default 1) or timeoutMs, then removes the AccessSpec.
+     * target: EPC hex string or a targetTag() descriptor ({} = any tag).
+     * Resolves with one entry per tag:
+     *   { epc, antenna, accessSpecId, opSpecId, type, result, resultName, success, ... }
+     * An empty array means no matching tag was seen in time.
+     */
+    async runAccessOperation(target, operation, { operationCount = 1, antennaId = 0, timeoutMs = 5000 } = {}) {
+        if (target === undefined || target === null) throw new TypeError(`${operation.type} needs a target (use {} for any tag)`);
+        if (this.state !== STATE.INVENTORYING) {
+            throw new LLRPError(`Cannot ${operation.type} tags in '${this.state}' state, the ROSpec must be running`);
+        }
+
+        // Results may arrive before addAccessSpec() resolves, so collect them all and filter afterwards
+        const seen = [];
+        const onTag = (tag) => {
+            for (const result of tag.opResults || []) seen.push({ epc: tag.epc, antenna: tag.antenna, ...result });
+        };
+        this.on('tag', onTag);
+
+        let accessSpecId = null;
+        try {
+            accessSpecId = await this.addAccessSpec({
+                target: typeof target === 'string' ? { epc: target } : target,
+                antennaId,
+                operationCount,
+                operations: [operation],
+            });
+
+            const results = () => seen.filter(result => result.accessSpecId === accessSpecId);
+            await new Promise((resolve) => {
+                let deadline = null;
+                const check = () => {
+                    if (operationCount > 0 && results().length >= operationCount) finish();
+                };
+                const finish = () => {
+                    clearTimeout(deadline);
+                    this.off('tag', check);
+                    resolve();
+                };
+                deadline = setTimeout(finish, timeoutMs);
+                this.on('tag', check);
+                check();
+            });
+
+            const done = results();
+            if (done.length === 0) console.warn(`No matching tag for ${operation.type} within ${timeoutMs}ms`);
+            for (const result of done) {
+                console.log(`${operation.type} ${result.epc}: ${result.resultName}`);
+            }
+            return done;
+        } finally {
+            this.off('tag', onTag);
+            // The reader deletes an AccessSpec by itself once its operation count is reached
+            if (accessSpecId !== null) {
+                await this.deleteAccessSpec(accessSpecId).catch(() => this.forgetAccessSpec(accessSpecId));
+            }
+        }
+    }
+
+    /**
+     * Write tag memory (data: hex, whole words) with C1G2Write, or C1G2BlockWrite
+     * when blockWrite is set. Per-tag results carry numWordsWritten.
+     * options: { operationCount, antennaId, timeoutMs } as for runAccessOperation().
+     */
+    writeMemory(target, { bank, wordPointer = 0, data, accessPassword = 0, blockWrite = false, ...options } = {}) {
+        const type = blockWrite ? 'blockWrite' : 'write';
+        return this.runAccessOperation(target, { type, bank, wordPointer, data, accessPassword }, options);
+    }
+
+    /**
+     * Lock memory banks / passwords with C1G2Lock.
+     * locks: [{ field, privilege }] with LOCK_FIELDS / LOCK_PRIVILEGES keys.
+     * The access password comes from the secret named by accessPasswordSecret
+     * (null for tags without one). permalock/permaunlock need { confirm: true }.
+     */
+    async lockTag(target, { locks = [], accessPasswordSecret = 'accessPassword', confirm = false, ...options } = {}) {
+        const irreversible = locks.filter(lock => IRREVERSIBLE_PRIVILEGES.includes(lock.privilege));
+        if (irreversible.length > 0 && confirm !== true) {
+            throw new LLRPError(`${irreversible.map(lock => `${lock.privilege} ${lock.field}`).join(', ')} cannot be undone; ` +
+                'pass { confirm: true } to proceed');
+        }
+        const accessPassword = accessPasswordSecret === null ? 0 : this.getSecret(accessPasswordSecret);
+        return this.runAccessOperation(target, { type: 'lock', locks, accessPassword }, options);
+    }
+
+    /**
+     * Permanently disable a tag with C1G2Kill. Always needs { confirm: true }.
+     * The kill password comes from the secret named by killPasswordSecret;
+     * tags refuse to be killed with a zero kill password.
+     */
+    async killTag(target, { killPasswordSecret = 'killPassword', confirm = false, ...options } = {}) {
+        if (confirm !== true) throw new LLRPError('Killing a tag cannot be undone; pass { confirm: true } to proceed');
+        const killPassword = this.getSecret(killPasswordSecret);
+        return this.runAccessOperation(target, { type: 'kill', killPassword }, options);
+    }
+
+    /**
+     * Resolve a tag password from config.secrets[name]: { env: 'VAR' } or { file: 'path' },
+     * holding 1-8 hex digits (optional 0x). config.secretProvider(name), if set, is asked
+     * first so applications can plug in a vault. Passwords never live in CONFIG itself.
+     */
+    getSecret(name) {
+        let value = this.config.secretProvider ? this.config.secretProvider(name) : undefined;
+        if (value === undefined || value === null) {
+            const source = (this.config.secrets || {})[name];
+            if (!source) throw new LLRPError(`No secret source configured for '${name}'`);
+            if (source.env) value = process.env[source.env];
+            else if (source.file) value = fs.existsSync(source.file) ? fs.readFileSync(source.file, 'utf8') : undefined;
+            if (value === undefined) {
+                throw new LLRPError(`Secret '${name}' not found in ${source.env ? `$${source.env}` : source.file}`);
+            }
+        }
+        if (typeof value === 'number') return value >>> 0;
+
+        const hex = String(value).trim().replace(/^0x/i, '');
+        if (!/^[0-9a-fA-F]{1,8}$/.test(hex)) throw new LLRPError(`Secret '${name}' is not a 32-bit hex password`);
+        return parseInt(hex, 16) >>> 0;
+    }
+
+    /**
+     * Encode a new EPC (hex, whole words) on the tag matching targetFilter.
+     * The tag's PC word is read first; when the EPC length changes, the PC is
+     * rewritten with the new length and its other bits (UMI/XI/NSI) kept.
+     * options: { accessPassword, operationCount, antennaId, timeoutMs } as for writeMemory().
+     */
+    async writeEpc(targetFilter, newEpc, { accessPassword = 0, ...options } = {}) {
+        const words = hexToWords(newEpc, 'New EPC').length;
+
+        // EPC bank: word 0 = CRC, word 1 = PC (length in bits 15-11), EPC from word 2
+        const pcReads = (await this.runAccessOperation(targetFilter,
+            { type: 'read', bank: 'epc', wordPointer: 1, wordCount: 1, accessPassword }, options))
+            .filter(result => result.success);
+        const pcWords = [...new Set(pcReads.map(result => parseInt(result.data, 16)))];
+        if (pcWords.length === 0) throw new LLRPError('Could not read the PC word of the target tag, EPC not written');
+        if (pcWords.length > 1) throw new LLRPError('Target tags have different PC words, write their EPCs one at a time');
+        const pc = pcWords[0];
+
+        if (pc >> 11 === words) {
+            return this.writeMemory(targetFilter, { ...options, bank: 'epc', wordPointer: 2, data: newEpc.toUpperCase(), accessPassword });
+        }
+        const newPc = ((words << 11) | (pc & 0x07FF)).toString(16).padStart(4, '0');
+        return this.writeMemory(targetFilter, { ...options, bank: 'epc', wordPointer: 1, data: `${newPc}${newEpc}`.toUpperCase(), accessPassword });
+    }
+
+    // OpSpecIDs are 16-bit and must be unique among installed AccessSpecs
+    allocateOpSpecId() {
+        do {
+            this.nextOpSpecId = (this.nextOpSpecId % 0xFFFF) + 1;
+        } while (this.opSpecs.has(this.nextOpSpecId));
+        return this.nextOpSpecId;
     }
 
     sendDeleteROSpec() {
-        const payload = Buffer.alloc(4);
-        payload.writeUInt32BE(0, 0);  // Delete all ROSpecs
-        this.sendMessage(MSG.DELETE_ROSPEC, payload);
+        return this.request(MSG.DELETE_ROSPEC, { fields: { roSpecId: 0 } });  // Delete all ROSpecs
     }
 
-    sendAddROSpec() {
-        console.log(`Building ROSpec with antennas: [${this.config.antennas.join(', ')}]`);
-        for (const ant of this.config.antennas) {
+    sendAddROSpec(variant = ROSPEC_VARIANTS[0]) {
+        const { start = { type: 'null' }, stop = { type: 'null' } } = this.config.triggers || {};
+        console.log(`Building ROSpec (variant: ${variant.name}) with antennas: [${this.inventoryAntennas().join(', ')}], ` +
+            `triggers: start ${start.type}, stop ${stop.type}`);
+        for (const ant of this.inventoryAntennas()) {
             const powerIdx = this.antennaPowerIndex[ant];
             const dbm = this.powerTable.find(p => p.index === powerIdx)?.powerDbm;
             console.log(`  Antenna ${ant}: power index ${powerIdx} (${dbm?.toFixed(1) ?? '?'} dBm)`);
         }
-        const rospec = this.buildROSpec();
-        this.sendMessage(MSG.ADD_ROSPEC, rospec);
+        for (const [i, phase] of (this.config.aiSpecs || []).entries()) {
+            const stopText = phase.tagCount ? `${phase.tagCount} tags` : phase.durationMs ? `${phase.durationMs}ms` : 'no stop';
+            const powerText = phase.powerDbm === undefined ? '' : `, power ${JSON.stringify(phase.powerDbm)} dBm`;
+            console.log(`  AISpec ${i + 1}: antennas [${(phase.antennas || []).join(', ')}], ${stopText}${powerText}`);
+        }
+        if (this.loopsByRestart() && !this.config.readerConfig?.events?.roSpec) {
+            console.warn('  Warning: LLRP 1.0 has no LoopSpec and ROSpec events are disabled, AISpec phases will run once');
+        }
+        const wantsStateAware = [this.config.singulation, ...Object.values(this.config.antennaSingulation || {})]
+            .some(settings => settings?.stateAware);
+        if (wantsStateAware && !this.canDoStateAwareSingulation) {
+            console.warn('  Warning: Reader does not support state-aware singulation, using state-unaware');
+        }
+        const hasInventoryCommand = (this.config.inventoryFilters || []).length > 0 || this.rfModeId !== null ||
+            this.config.singulation || Object.keys(this.config.antennaSingulation || {}).length > 0;
+        if ((variant.omitInventoryCommand || variant.omitAntennaConfiguration) && hasInventoryCommand) {
+            console.warn('  Warning: This variant sends no C1G2InventoryCommand, inventory filters, RF mode and singulation are not applied');
+        }
+        if (variant.omitVendorExtensions && this.vendorExtensions) {
+            console.warn(`  Warning: This variant drops the ${this.vendorExtensions.name} vendor extensions`);
+        }
+        return this.request(MSG.ADD_ROSPEC, { params: [this.buildROSpec(variant)] });
     }
 
-    buildROSpec() {
-        // Helper: TLV builder (Type: u16, Length: u16, Value: bytes)
-        const tlv = (type, valueBuf) => {
-            const h = Buffer.alloc(4);
-            h.writeUInt16BE(type, 0);
-            h.writeUInt16BE(4 + valueBuf.length, 2);
-            return Buffer.concat([h, valueBuf]);
+    buildROSpec(variant = ROSPEC_VARIANTS[0]) {
+        // Returns the ROSpec parameter tree; encoded by llrp-codec when sent
+
+        // Gen2 C1G2SingulationControl, with the inventoried target and SL flag when state-aware
+        const c1g2SingulationControl = ({ session, tagPopulation, tagTransitTime, stateAware, target, selected }) =>
+            param('C1G2SingulationControl', { session, tagPopulation, tagTransitTime }, stateAware ? [
+                param('C1G2TagInventoryStateAwareSingulationAction', { i: target === 'B', s: selected === 'notSL' }),
+            ] : []);
+
+        // Gen2 C1G2RFControl: ModeIndex is the ModeIdentifier from the RF mode table
+        const c1g2RFControl = () => param('C1G2RFControl', { modeIndex: this.rfModeId, tari: this.config.rfTari ?? 0 });
+
+        // Vendor Custom parameters, the same for every antenna
+        const vendorInventory = variant.omitVendorExtensions ? [] : this.buildVendorInventoryCommand();
+
+        // Gen2 C1G2InventoryCommand: Select filters, RF mode, singulation, then vendor extensions
+        const c1g2InventoryCommand = (antennaId) => {
+            const singulation = this.singulationFor(antennaId);
+            const stateAware = !!singulation?.stateAware;
+            const filters = this.buildInventoryFilters(antennaId, stateAware);
+            if (filters.length === 0 && this.rfModeId === null && !singulation && vendorInventory.length === 0) return null;
+            return param('C1G2InventoryCommand', { tagInventoryStateAware: stateAware }, [
+                ...filters,
+                ...(this.rfModeId !== null ? [c1g2RFControl()] : []),
+                ...(singulation ? [c1g2SingulationControl(singulation)] : []),
+                ...vendorInventory,
+            ]);
         };
 
-        // Helper: Stop trigger TLV - ALWAYS include duration
-        const stopTriggerTLV = (typeNum, triggerType, durationMs) => {
-            // Always include 5 bytes (1 type + 4 duration) even for Null trigger
-            const v = Buffer.alloc(5);
-            v.writeUInt8(triggerType & 0xff, 0);
-            v.writeUInt32BE(durationMs >>> 0, 1);
-            return tlv(typeNum, v);
-        };
+        // RFTransmitter: HopTableID + ChannelIndex + TransmitPower
+        // Zebra fix: Use HopTableID from capabilities instead of hardcoded 1
+        const rfTransmitter = (powerIndex) => param('RFTransmitter', {
+            hopTableId: this.hopTableId,
+            channelIndex: this.config.channelIndex ?? 0,  // 0 = hop (auto), else fixed channel
+            transmitPower: powerIndex, // TransmitPower index from power table
+        });
 
-        // Gen2 C1G2SingulationControl (336)
-        const c1g2SingulationControl = ({ session = 2, tagPopulation = 32, tagTransitTime = 0 } = {}) => {
-            const v = Buffer.alloc(1 + 2 + 4);
-            // Session is 2 bits at the MSB of the first byte (bits 7-6)
-            v.writeUInt8((session << 6) & 0xC0, 0);
-            v.writeUInt16BE(tagPopulation & 0xFFFF, 1);
-            v.writeUInt32BE(tagTransitTime >>> 0, 3);
-            return tlv(336, v);
+        // AntennaConfiguration - RFTransmitter, plus C1G2InventoryCommand only when the antenna has
+        // filters, an RF mode or singulation settings (Zebra doesn't like an empty one; minimal.js works without it)
+        const antennaConfiguration = (antennaId, phasePowerIndex) => {
+            // Phase override, else power index from capabilities, or max valid index, or 1 if unknown
+            const powerIndex = phasePowerIndex ?? this.antennaPowerIndex[antennaId] ??
+                (this.powerTable.length ? this.powerTable[this.powerTable.length - 1].index : 1);
+            const inventoryCommand = variant.omitInventoryCommand ? null : c1g2InventoryCommand(antennaId);
+            return param('AntennaConfiguration', { antennaId }, [
+                rfTransmitter(powerIndex),
+                ...(inventoryCommand ? [inventoryCommand] : []),
+            ]);
         };
 
-        // Gen2 C1G2InventoryCommand (330)
-        const c1g2InventoryCommand = () => {
-            const flags = Buffer.alloc(1);
-            flags.writeUInt8(0x00, 0); // TagInventoryStateAware = 0
-            const sing = c1g2SingulationControl({ session: 2, tagPopulation: 32, tagTransitTime: 0 });
-            return tlv(330, Buffer.concat([flags, sing]));
-        };
+        // ROBoundarySpec: start + stop trigger from config.triggers (duration always included)
+        const { startTrigger, stopTrigger, aiSpecStopTrigger } = this.buildTriggers();
+        const roBoundary = param('ROBoundarySpec', {}, [startTrigger, stopTrigger]);
+
+        // AISpec per phase: AntennaIDs + AISpecStopTrigger + InventoryParameterSpec
+        // (InventoryParameterSpecID = phase number, ProtocolID = EPCGlobalClass1Gen2 (1))
+        const phases = this.buildPhases() ?? [{ antennas: this.config.antennas, stopTrigger: aiSpecStopTrigger, powerIndex: {} }];
+        const aiSpecs = phases.map((phase, i) => param('AISpec', { antennaIds: phase.antennas }, [
+            phase.stopTrigger,
+            param('InventoryParameterSpec', { inventoryParameterSpecId: i + 1, protocolId: 1 },
+                variant.omitAntennaConfiguration ? [] : phase.antennas.map(ant => antennaConfiguration(ant, phase.powerIndex[ant]))),
+        ]));
+
+        // LoopSpec (LLRP 1.1): without it a ROSpec with a Null stop trigger ends after one pass of finite phases
+        const loop = this.config.aiSpecs && this.config.aiSpecLoop !== false && this.protocolVersion >= 2
+            ? [param('LoopSpec', { loopCount: 0 })]  // 0 = loop until the ROSpec stops
+            : [];
+
+        // The minimal variant sends an all-zero mask (known-good on Zebra, see workingreader.js)
+        const tagReportContentSelector = variant.minimalReportContent
+            ? param('TagReportContentSelector', {})
+            : this.buildTagReportContentSelector();
+
+        const vendorSelector = variant.omitVendorExtensions ? [] : this.buildVendorReportSelector();
+        const roReportSpec = this.buildROReportSpec(tagReportContentSelector, vendorSelector);
+
+        // ROSpec: ID 1, Priority 0, CurrentState = Disabled (0)
+        return param('ROSpec', { roSpecId: 1, priority: 0, currentState: 0 }, [roBoundary, ...aiSpecs, ...loop, roReportSpec]);
+    }
 
-        // RFTransmitter (224): HopTableID + ChannelIndex + TransmitPower
-        // Zebra fix: Use HopTableID = 0 (default) instead of hardcoded 1
-        const rfTransmitter = (powerIndex) => {
-            const v = Buffer.alloc(6);
-            v.writeUInt16BE(this.hopTableId, 0);  // HopTableID = 0 (default) or from capabilities
-            v.writeUInt16BE(0, 2);                // ChannelIndex = 0 (auto)
-            v.writeUInt16BE(powerIndex, 4);       // TransmitPower index from power table
-            return tlv(224, v);
+    /**
+     * ROSpecStartTrigger, ROSpecStopTrigger and AISpecStopTrigger for config.triggers.
+     * Throws TypeError for an invalid trigger.
+     */
+    buildTriggers() {
+        const { start = { type: 'null' }, stop = { type: 'null' } } = this.config.triggers || {};
+        const positive = (value, what) => {
+            if (!Number.isInteger(value) || value <= 0) throw new TypeError(`${what} must be a positive integer, got ${value}`);
+            return value;
         };
-
-        // AntennaConfiguration (222) - WITH RFTransmitter only (no C1G2InventoryCommand - Zebra doesn't like it)
-        const antennaConfiguration = (antennaId) => {
-            const antId = Buffer.alloc(2);
-            antId.writeUInt16BE(antennaId, 0);
-            // Use power index from capabilities, or max valid index, or 1 if unknown
-            const powerIndex = this.antennaPowerIndex[antennaId] ??
-                (this.powerTable.length ? this.powerTable[this.powerTable.length - 1].index : 1);
-            const rfTx = rfTransmitter(powerIndex);
-            // NOTE: Removed c1g2InventoryCommand() - minimal.js works without it
-            return tlv(222, Buffer.concat([antId, rfTx]));
+        const gpiTriggerValue = ({ port, event, timeoutMs = 0 }, what) => {
+            positive(port, `${what} GPI port`);
+            if (this.numGpis !== null && port > this.numGpis) {
+                console.warn(`  Warning: ${what} uses GPI port ${port}, reader has ${this.numGpis} GPIs`);
+            }
+            return param('GPITriggerValue', { gpiPortNum: port, gpiEvent: event, timeout: timeoutMs });
         };
 
-        // InventoryParameterSpec (186)
-        const inventoryParameterSpecWithAntennas = (antennaIds) => {
-            const hdr = Buffer.alloc(3);
-            hdr.writeUInt16BE(1, 0);  // InventoryParameterSpecID = 1
-            hdr.writeUInt8(1, 2);     // ProtocolID = EPCGlobalClass1Gen2 (1)
-            const antConfs = Buffer.concat(antennaIds.map(antennaConfiguration));
-            return tlv(186, Buffer.concat([hdr, antConfs]));
+        if (!(start.type in ROSPEC_START_TRIGGERS)) throw new TypeError(`Unknown ROSpec start trigger '${start.type}'`);
+        if (!(stop.type in ROSPEC_STOP_TRIGGERS)) throw new TypeError(`Unknown ROSpec stop trigger '${stop.type}'`);
+
+        const startParams = [];
+        if (start.type === 'periodic') {
+            startParams.push(param('PeriodicTriggerValue', { offset: start.offsetMs ?? 0, period: positive(start.periodMs, 'Periodic start periodMs') }));
+        } else if (start.type === 'gpi') {
+            startParams.push(gpiTriggerValue({ event: true, ...start }, 'Start trigger'));
+        }
+
+        const stopParams = [];
+        if (stop.type === 'gpi') stopParams.push(gpiTriggerValue({ event: false, ...stop }, 'Stop trigger'));
+        const durationMs = stop.type === 'duration' ? positive(stop.durationMs, 'Stop durationMs') : 0;
+
+        if (stop.type === 'tags' && this.config.aiSpecs) {
+            throw new TypeError("Stop trigger 'tags' cannot be combined with aiSpecs, give the phases a tagCount instead");
+        }
+        const aiSpecStopTrigger = this.buildAISpecStopTrigger(stop.type === 'tags'
+            ? { tagCount: positive(stop.count, 'Stop tag count'), timeoutMs: stop.timeoutMs }
+            : {});
+
+        return {
+            startTrigger: param('ROSpecStartTrigger', { roSpecStartTriggerType: ROSPEC_START_TRIGGERS[start.type] }, startParams),
+            stopTrigger: param('ROSpecStopTrigger', { roSpecStopTriggerType: ROSPEC_STOP_TRIGGERS[stop.type], durationTriggerValue: durationMs }, stopParams),
+            aiSpecStopTrigger,
         };
+    }
 
-        // ROSpec header fields
-        const rospecHeaderFields = Buffer.alloc(6);
-        rospecHeaderFields.writeUInt32BE(1, 0); // ROSpecID = 1
-        rospecHeaderFields.writeUInt8(0, 4);    // Priority = 0
-        rospecHeaderFields.writeUInt8(0, 5);    // CurrentState = Disabled (0)
+    /**
+     * TagReportContentSelector for config.reportContent. antennaId keeps antenna IDs in
+     * reports when several antennas are enabled. Throws TypeError for an unknown field.
+     */
+    buildTagReportContentSelector() {
+        const flags = {};
+        for (const name of this.config.reportContent || []) {
+            if (!(name in REPORT_CONTENT)) throw new TypeError(`Unknown report content field '${name}'`);
+            flags[REPORT_CONTENT[name]] = true;
+        }
+        const epcMemory = EPC_MEMORY_CONTENT.some(name => flags[REPORT_CONTENT[name]])
+            ? [param('C1G2EPCMemorySelector', { enableCrc: !!flags.enableCrc, enablePcBits: !!flags.enablePcBits })]
+            : [];
+        return param('TagReportContentSelector', flags, epcMemory);
+    }
 
-        // ROSpecStartTrigger (179): Null trigger (0)
-        const roStartTrigger = tlv(179, Buffer.from([0x00]));
+    /**
+     * ROReportSpec for config.reportSpec: ROReportTrigger 0 (None, GET_REPORT only),
+     * 1 (N tags or end of AISpec) or 2 (N tags or end of ROSpec); N = 0 means no tag limit.
+     * Throws TypeError for an invalid report spec.
+     */
+    buildROReportSpec(tagReportContentSelector, vendorSelector = []) {
+        const { trigger = 'tags', n = trigger === 'tags' ? 1 : 0, intervalMs } = this.config.reportSpec || {};
+        if (!(trigger in REPORT_TRIGGERS)) throw new TypeError(`Unknown report trigger '${trigger}'`);
+        if (!Number.isInteger(n) || n < 0 || n > 0xFFFF) throw new TypeError(`Report tag count must be 0-65535, got ${n}`);
+        if (trigger === 'tags' && n === 0) throw new TypeError("Report trigger 'tags' needs n > 0");
+        if (trigger === 'poll' && !(Number.isInteger(intervalMs) && intervalMs > 0)) {
+            throw new TypeError(`Report trigger 'poll' needs a positive intervalMs, got ${intervalMs}`);
+        }
+        return param('ROReportSpec', { roReportTrigger: REPORT_TRIGGERS[trigger], n: trigger === 'poll' ? 0 : n },
+            [tagReportContentSelector, ...vendorSelector]);
+    }
 
-        // ROSpecStopTrigger (182): Null trigger (0)
-        const roStopTrigger = stopTriggerTLV(182, 0, 0);
+    /**
+     * Custom parameters for config.vendorReportContent, empty when vendor extensions are
+     * not in use this session. Content this reader's vendor does not offer is left out
+     * (enableVendorExtensions warns about it).
+     */
+    buildVendorReportSelector() {
+        const content = supportedReportContent(this.manufacturer, this.config.vendorReportContent || []);
+        if (!this.vendorExtensions || content.length === 0) return [];
+        return buildVendorReportSelector(this.manufacturer, content);
+    }
 
-        // ROBoundarySpec (178): contains start + stop triggers
-        const roBoundary = tlv(178, Buffer.concat([roStartTrigger, roStopTrigger]));
+    // Custom parameters for config.vendorInventory, same rules as buildVendorReportSelector
+    buildVendorInventoryCommand() {
+        if (!this.vendorExtensions) return [];
+        return buildVendorInventoryCommand(this.manufacturer, supportedInventoryOptions(this.manufacturer, this.config.vendorInventory || {}));
+    }
 
-        // AISpec AntennaIDs: count (2 bytes) + list of antenna IDs (2 bytes each)
-        // Note: LLRP spec requires AntennaCount field before the list
-        const antennaCount = Buffer.alloc(2);
-        antennaCount.writeUInt16BE(this.config.antennas.length, 0);
-        const antennaIdList = Buffer.concat(
-            this.config.antennas.map(ant => {
-                const buf = Buffer.alloc(2);
-                buf.writeUInt16BE(ant, 0);
-                return buf;
-            })
-        );
-        const fullAntennaList = Buffer.concat([antennaCount, antennaIdList]);
+    // Ask for the tags the reader has buffered; they arrive as an RO_ACCESS_REPORT
+    getReport() {
+        return this.sendMessage(MSG.GET_REPORT) !== null;
+    }
 
-        // AISpecStopTrigger (184): Null trigger (0)
-        const aiStopTrigger = stopTriggerTLV(184, 0, 0);
+    startReportPolling() {
+        this.stopReportPolling();
+        const { trigger, intervalMs } = this.config.reportSpec || {};
+        if (trigger !== 'poll') return;
+        this.reportPollTimer = setInterval(() => this.getReport(), intervalMs);
+    }
 
-        // InventoryParameterSpec with AntennaConfiguration for each antenna
-        const invParamSpec = inventoryParameterSpecWithAntennas(this.config.antennas);
+    stopReportPolling() {
+        if (this.reportPollTimer) {
+            clearInterval(this.reportPollTimer);
+            this.reportPollTimer = null;
+        }
+    }
 
-        // AISpec (183): AntennaIDs + AISpecStopTrigger + InventoryParameterSpec
-        const aiSpec = tlv(183, Buffer.concat([fullAntennaList, aiStopTrigger, invParamSpec]));
+    // AISpecStopTrigger: Null (0), Duration (1), or Tag observation (3) - N tags or the timeout, whichever comes first
+    buildAISpecStopTrigger({ durationMs = 0, tagCount = 0, timeoutMs = 0 } = {}) {
+        if (tagCount > 0) {
+            return param('AISpecStopTrigger', { aiSpecStopTriggerType: 3, durationTrigger: 0 }, [
+                param('TagObservationTrigger', { triggerType: 0, numberOfTags: tagCount, numberOfAttempts: 0, t: 0, timeout: timeoutMs }),
+            ]);
+        }
+        return param('AISpecStopTrigger', { aiSpecStopTriggerType: durationMs > 0 ? 1 : 0, durationTrigger: durationMs });
+    }
 
-        // TagReportContentSelector (238): include AntennaID, PeakRSSI, LastSeenTimestampUTC, TagSeenCount
-        // This ensures antenna IDs are reported when multiple antennas are enabled.
-        const trcsMask = Buffer.from([0x15, 0x80]);
-        const tagReportContentSelector = tlv(238, trcsMask);
+    /**
+     * config.aiSpecs as [{ antennas, stopTrigger, powerIndex }] (powerIndex: antennaId -> phase
+     * override), or null if not configured. Throws TypeError for an invalid phase.
+     */
+    buildPhases() {
+        const { aiSpecs } = this.config;
+        if (!aiSpecs) return null;
+        if (!Array.isArray(aiSpecs) || aiSpecs.length === 0) throw new TypeError('aiSpecs must be a non-empty array');
+
+        return aiSpecs.map(({ antennas, durationMs, tagCount, timeoutMs = 0, powerDbm }, i) => {
+            const what = `AISpec phase ${i + 1}`;
+            if (!Array.isArray(antennas) || antennas.length === 0 || !antennas.every(ant => Number.isInteger(ant) && ant > 0)) {
+                throw new TypeError(`${what} needs a non-empty list of antenna IDs`);
+            }
+            if (durationMs !== undefined && tagCount !== undefined) throw new TypeError(`${what} has both durationMs and tagCount`);
+            for (const [name, value] of [['durationMs', durationMs], ['tagCount', tagCount]]) {
+                if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+                    throw new TypeError(`${what} ${name} must be a positive integer, got ${value}`);
+                }
+            }
+            if (durationMs === undefined && tagCount === undefined && i < aiSpecs.length - 1) {
+                console.warn(`  Warning: ${what} has no durationMs or tagCount, later phases will never run`);
+            }
 
-        // ROReportSpec (237): Trigger=Upon_N_Tags (1), N=1
-        const roReportFields = Buffer.alloc(3);
-        roReportFields.writeUInt8(0x01, 0);     // ROReportTrigger = Upon_N_Tags (1)
-        roReportFields.writeUInt16BE(1, 1);     // N = 1
-        const roReportSpec = tlv(237, Buffer.concat([roReportFields, tagReportContentSelector]));
+            const powerIndex = {};
+            if (powerDbm !== undefined) {
+                for (const ant of antennas) {
+                    const dbm = typeof powerDbm === 'number' ? powerDbm : powerDbm[ant];
+                    if (dbm !== undefined) powerIndex[ant] = this.findClosestPowerIndex(dbm);
+                }
+            }
+            return { antennas, stopTrigger: this.buildAISpecStopTrigger({ durationMs, tagCount, timeoutMs }), powerIndex };
+        });
+    }
+
+    /**
+     * Singulation settings for antennaId (config.singulation with config.antennaSingulation
+     * overrides and defaults filled in), or null to leave the reader's defaults.
+     * Throws TypeError for invalid settings.
+     */
+    singulationFor(antennaId) {
+        const overrides = (this.config.antennaSingulation || {})[antennaId];
+        if (!this.config.singulation && !overrides) return null;
+
+        const hasFilters = (this.config.inventoryFilters || [])
+            .some(filter => !filter.antennas || filter.antennas.includes(antennaId));
+        const singulation = {
+            session: 2,
+            tagPopulation: 32,
+            tagTransitTime: 0,
+            stateAware: false,
+            target: 'A',
+            selected: hasFilters ? 'SL' : 'notSL',  // SL is deasserted at power-up, so only filters assert it
+            ...this.config.singulation,
+            ...overrides,
+        };
+
+        if (![0, 1, 2, 3].includes(singulation.session)) throw new TypeError(`Invalid Gen2 session ${singulation.session} for antenna ${antennaId}`);
+        if (!['A', 'B'].includes(singulation.target)) throw new TypeError(`Invalid inventory target '${singulation.target}' for antenna ${antennaId}`);
+        if (!['SL', 'notSL'].includes(singulation.selected)) throw new TypeError(`Invalid SL selection '${singulation.selected}' for antenna ${antennaId}`);
+        if (!this.canDoStateAwareSingulation) singulation.stateAware = false;  // Warned about in sendAddROSpec
+        return singulation;
+    }
+
+    /**
+     * C1G2Filter parameters for config.inventoryFilters that apply to antennaId.
+     * Throws TypeError for an invalid filter, which no ROSpec variant can fix.
+     */
+    buildInventoryFilters(antennaId, stateAware = false) {
+        const filters = (this.config.inventoryFilters || [])
+            .filter(filter => !filter.antennas || filter.antennas.includes(antennaId));
+
+        if (this.maxSelectFilters > 0 && filters.length > this.maxSelectFilters) {
+            console.warn(`  Warning: Antenna ${antennaId} has ${filters.length} inventory filters, ` +
+                `reader supports ${this.maxSelectFilters} per query`);
+        }
 
-        // Final ROSpec (177)
-        return tlv(177, Buffer.concat([rospecHeaderFields, roBoundary, aiSpec, roReportSpec]));
+        return filters.map(({ bank = 'epc', pointer = 0x20, mask, bitCount, action = 'include', truncate = false }) => {
+            if (!(bank in MEMORY_BANKS)) throw new TypeError(`Unknown inventory filter bank '${bank}'`);
+            if (typeof mask !== 'string' || !/^[0-9a-fA-F]+$/.test(mask)) {
+                throw new TypeError(`Inventory filter mask must be a hex string, got '${mask}'`);
+            }
+            const bits = bitCount ?? mask.length * 4;
+            if (!Number.isInteger(bits) || bits < 1 || bits > mask.length * 4) {
+                throw new TypeError(`Inventory filter bitCount ${bitCount} does not fit mask '${mask}'`);
+            }
+            if (!(action in FILTER_ACTIONS)) throw new TypeError(`Unknown inventory filter action '${action}'`);
+
+            // State-aware filters set the SL flag (target 0) that singulation then selects on
+            const filterAction = stateAware
+                ? param('C1G2TagInventoryStateAwareFilterAction', { target: 0, action: STATE_AWARE_FILTER_ACTIONS[FILTER_ACTIONS[action]] })
+                : param('C1G2TagInventoryStateUnawareFilterAction', { action: FILTER_ACTIONS[action] });
+
+            // T: 0 = unspecified, 2 = truncate the reply to the EPC bits after the mask
+            return param('C1G2Filter', { t: truncate ? 2 : 0 }, [
+                param('C1G2TagInventoryMask', { mb: MEMORY_BANKS[bank], pointer, tagMask: { bitCount: bits, hex: mask } }),
+                filterAction,
+            ]);
+        });
     }
 
     sendEnableROSpec() {
-        const payload = Buffer.alloc(4);
-        payload.writeUInt32BE(1, 0);
-        this.sendMessage(MSG.ENABLE_ROSPEC, payload);
+        return this.request(MSG.ENABLE_ROSPEC, { fields: { roSpecId: 1 } });
     }
 
     sendStartROSpec() {
-        const payload = Buffer.alloc(4);
-        payload.writeUInt32BE(1, 0);
-        this.sendMessage(MSG.START_ROSPEC, payload);
+        return this.request(MSG.START_ROSPEC, { fields: { roSpecId: 1 } });
+    }
+
+    /**
+     * Keepalive watchdog: a half-open TCP connection never errors, so count
+     * keepalive intervals without a KEEPALIVE and drop the connection after
+     * config.keepaliveMissLimit of them. The close handler then reconnects.
+     */
+    startKeepaliveWatchdog(intervalMs) {
+        this.stopKeepaliveWatchdog();
+        this.keepaliveIntervalMs = intervalMs;
+        if (!intervalMs || !(this.config.keepaliveMissLimit ?? 3)) return;
+
+        this.keepalivesMissed = 0;
+        this.armKeepaliveWatchdog();
+    }
+
+    stopKeepaliveWatchdog() {
+        if (this.keepaliveTimer) {
+            clearTimeout(this.keepaliveTimer);
+            this.keepaliveTimer = null;
+        }
+    }
+
+    // Wait one interval plus some slack for the reader's timer drift
+    armKeepaliveWatchdog() {
+        const slackMs = Math.min(this.keepaliveIntervalMs / 2, 5000);
+        clearTimeout(this.keepaliveTimer);
+        this.keepaliveTimer = setTimeout(() => this.onKeepaliveMissed(), this.keepaliveIntervalMs + slackMs);
+    }
+
+    onKeepaliveMissed() {
+        this.keepaliveTimer = null;
+        this.keepalivesMissed++;
+        this.metrics.keepalivesMissed++;
+
+        const limit = this.config.keepaliveMissLimit ?? 3;
+        const sinceLastMs = this.metrics.lastKeepaliveAt === null ? null : Date.now() - this.metrics.lastKeepaliveAt;
+        console.warn(`Keepalive missed (${this.keepalivesMissed}/${limit}, interval ${this.keepaliveIntervalMs}ms)`);
+        this.emit('keepaliveMissed', {
+            missed: this.keepalivesMissed, limit, intervalMs: this.keepaliveIntervalMs, sinceLastMs,
+        });
+
+        if (this.keepalivesMissed < limit) {
+            this.armKeepaliveWatchdog();
+            return;
+        }
+
+        console.error(`No keepalive for ${this.keepalivesMissed} intervals - connection presumed dead, reconnecting`);
+        this.emit('error', new LLRPConnectionError(`Connection lost: ${this.keepalivesMissed} keepalives missed`));
+        if (this.socket) this.socket.destroy();
+    }
+
+    // KEEPALIVE arrived: reset the watchdog and emit 'keepalive' with the observed interval
+    handleKeepalive() {
+        const now = Date.now();
+        const sinceLastMs = this.metrics.lastKeepaliveAt === null ? null : now - this.metrics.lastKeepaliveAt;
+        this.metrics.keepalivesReceived++;
+        this.metrics.lastKeepaliveAt = now;
+        this.keepalivesMissed = 0;
+        if (this.keepaliveTimer) this.armKeepaliveWatchdog();
+        this.emit('keepalive', { sinceLastMs, expectedMs: this.keepaliveIntervalMs });
     }
 
     sendKeepaliveAck() {
@@ -700,190 +2000,156 @@ class LLRPReader extends EventEmitter {
         this.sendMessage(MSG.CLOSE_CONNECTION);
     }
 
-    parseTagReport(data) {
+    parseTagReport(msg, data) {
         // Ignore buffered tags from previous session until ROSpec is fully started
-        if (!this.rospecStarted) {
+        if (this.state !== STATE.INVENTORYING) {
             if (this.config.debugRx) console.log('  (Ignoring tag report - ROSpec not started yet)');
             return;
         }
 
         if (this.config.debugRx) {
-            console.log(`  RO_ACCESS_REPORT received, ${data.length} bytes`);
+            console.log(`  RO_ACCESS_REPORT received, ${data.length} bytes: ${data.slice(10, 60).toString('hex')}`);
         }
 
-        let offset = 10;
-
-        while (offset + 4 <= data.length) {
-            const paramType = data.readUInt16BE(offset) & 0x3FF;
-            const paramLen = data.readUInt16BE(offset + 2);
-
-            if (paramLen === 0 || paramLen > data.length - offset) break;
+        // If reader omitted AntennaID (0, null, or undefined) and we only use one antenna, assume it
+        const antennas = this.inventoryAntennas();
+        const defaultAntenna = antennas.length === 1 ? antennas[0] : null;
 
-            if (paramType === 240) {  // TagReportData
-                const tagData = data.slice(offset + 4, offset + paramLen);
-                const tag = this.parseTagReportData(tagData);
-                if (!tag.epc) {
-                    console.log("TagReportData without EPC, raw hex:", tagData.slice(0, 40).toString("hex"));
-                } else {
-                    // If reader omitted AntennaID (0, null, or undefined) and we only configured one antenna, assume it
-                    if (!tag.antenna && this.config.antennas.length === 1) {
-                        tag.antenna = this.config.antennas[0];
-                    }
-                    this.emit('tag', tag);
-                }
+        const tags = [];
+        for (const tagReportData of findParams(msg, 'TagReportData')) {
+            const tag = this.parseTagReportData(tagReportData);
+            if (!tag.epc) {
+                console.log('TagReportData without EPC, params:', tagReportData.params.map(p => p.name ?? p.type).join(', '));
+                continue;
             }
-
-            offset += paramLen;
+            if (!tag.antenna && defaultAntenna !== null) tag.antenna = defaultAntenna;
+            tags.push(tag);
+            this.emit('tag', tag);
         }
+
+        // One 'tagBatch' per report, so consumers of large reports can skip per-tag work
+        if (tags.length > 0) this.emit('tagBatch', tags);
     }
 
-    parseTagReportData(data) {
+    parseTagReportData(tagReportData) {
         const tag = { epc: null, antenna: null, rssi: null, timestamp: null };
-        let offset = 0;
-
-        const parseCustomRssi = (vendorId, subtype, dataStart, dataLen) => {
-            // Impinj custom parameter (VendorID 0x000000A1) often carries RSSI in 0.01 dBm
-            if (vendorId !== 0x000000A1 || subtype !== 0x000002C5 || dataLen < 2) return null;
-            const rawBe = data.readInt16BE(dataStart);
-            const rawLe = data.readInt16LE(dataStart);
-            const candidates = [
-                rawBe / 100.0,
-                rawLe / 100.0,
-                -Math.abs(rawLe) / 100.0,
-                -Math.abs(rawBe) / 100.0,
-                rawBe / 1000.0,
-                rawLe / 1000.0,
-                -Math.abs(rawLe) / 1000.0,
-                -Math.abs(rawBe) / 1000.0,
-            ];
-            const inRange = (value) => value <= 0 && value >= -130;
-
-            for (const value of candidates) {
-                if (inRange(value)) return value;
-            }
-            return null;
-        };
 
-        // Debug: show raw TagReportData if debugRx enabled
-        if (this.config.debugRx) {
-            console.log(`  TagReportData raw (${data.length} bytes): ${data.slice(0, Math.min(50, data.length)).toString('hex')}`);
-        }
-
-        while (offset < data.length) {
-            if (data[offset] & 0x80) {
-                // TV-encoded parameter (Type-Value, no length field)
-                const tvType = data[offset] & 0x7F;
-                switch (tvType) {
-                    case 1:  // AntennaID (TV): 1 byte type + 2 bytes value
-                        if (offset + 3 <= data.length) {
-                            tag.antenna = data.readUInt16BE(offset + 1);
-                        }
-                        offset += 3;
-                        break;
-                    case 6:  // PeakRSSI (TV): 1 byte type + 1 byte value (signed)
-                        if (offset + 2 <= data.length) {
-                            tag.rssi = data.readInt8(offset + 1);
-                        }
-                        offset += 2;
-                        break;
-                    case 7:  // ChannelIndex (TV): 1 byte type + 2 bytes value
-                        offset += 3;
-                        break;
-                    case 8:  // FirstSeenTimestampUTC (TV): 1 byte type + 8 bytes value
-                        offset += 9;
-                        break;
-                    case 9:  // LastSeenTimestampUTC (TV): 1 byte type + 8 bytes value
-                        if (offset + 9 <= data.length) {
-                            tag.timestamp = data.readBigUInt64BE(offset + 1);
-                        }
-                        offset += 9;
-                        break;
-                    case 10: // TagSeenCount (TV): 1 byte type + 2 bytes value
-                        if (offset + 3 <= data.length) {
-                            tag.seenCount = data.readUInt16BE(offset + 1);
-                        }
-                        offset += 3;
-                        break;
-                    case 13: // EPC-96 (TV): 1 byte type + 12 bytes EPC
-                        if (offset + 13 <= data.length) {
-                            tag.epc = data.slice(offset + 1, offset + 13).toString('hex').toUpperCase();
-                        }
-                        offset += 13;
-                        break;
-                    case 14: // ROSpecID (TV): 1 byte type + 4 bytes value
-                        offset += 5;
-                        break;
-                    case 15: // SpecIndex (TV): 1 byte type + 2 bytes value
-                        offset += 3;
-                        break;
-                    case 16: // InventoryParameterSpecID (TV): 1 byte type + 2 bytes value
-                        offset += 3;
-                        break;
-                    default: {
-                        // Unknown TV param: stop parsing to avoid desync and junk EPCs
-                        return tag;
-                    }
+        for (const p of tagReportData.params) {
+            switch (p.name) {
+                case 'EPCData': {
+                    const { bitCount, hex } = p.fields.epc;
+                    if (bitCount > 0 && bitCount % 8 === 0) tag.epc = hex;
+                    break;
                 }
-            } else {
-                if (offset + 3 >= data.length) break;
-
-                const tlvType = data.readUInt16BE(offset) & 0x3FF;
-                const tlvLen = data.readUInt16BE(offset + 2);
-
-                if (tlvLen === 0 || offset + tlvLen > data.length) {
-                    // Try to find next TV parameter by scanning forward
-                    let found = false;
-                    for (let skip = 1; skip <= 4 && offset + skip < data.length; skip++) {
-                        if (data[offset + skip] & 0x80) {
-                            offset += skip;
-                            found = true;
-                            break;
-                        }
-                    }
-                    if (!found) break;
-                    continue;
+                case 'EPC_96':
+                    tag.epc = p.fields.epc;
+                    break;
+                case 'AntennaID':
+                    tag.antenna = p.fields.antennaId;
+                    break;
+                case 'ChannelIndex':
+                    tag.channelIndex = p.fields.channelIndex;
+                    tag.frequencyMhz = this.channelFrequencyMhz(p.fields.channelIndex);
+                    break;
+                case 'PeakRSSI':
+                    tag.rssi = p.fields.peakRssi;
+                    break;
+                case 'FirstSeenTimestampUTC':
+                    tag.firstSeenTimestamp = p.fields.microseconds;
+                    break;
+                case 'LastSeenTimestampUTC':
+                    tag.timestamp = p.fields.microseconds;
+                    break;
+                // Microseconds since reader boot, sent instead of UTC by readers without a clock
+                case 'FirstSeenTimestampUptime':
+                    tag.firstSeenUptime = p.fields.microseconds;
+                    break;
+                case 'LastSeenTimestampUptime':
+                    tag.lastSeenUptime = p.fields.microseconds;
+                    break;
+                case 'TagSeenCount':
+                    tag.seenCount = p.fields.tagCount;
+                    break;
+                case 'ROSpecID':
+                    tag.roSpecId = p.fields.roSpecId;
+                    break;
+                case 'SpecIndex':
+                    tag.specIndex = p.fields.specIndex;  // 1-based AISpec within the ROSpec
+                    break;
+                case 'InventoryParameterSpecID':
+                    tag.inventoryParameterSpecId = p.fields.inventoryParameterSpecId;
+                    break;
+                case 'AccessSpecID':
+                    tag.accessSpecId = p.fields.accessSpecId;
+                    break;
+                case 'C1G2CRC':
+                    tag.crc = p.fields.crc;
+                    break;
+                case 'C1G2PC': {
+                    // PC word: EPC length in words (5 bits), UMI, XI, toggle, then AFI or numbering system ID
+                    const pc = p.fields.pcBits;
+                    tag.pcBits = pc;
+                    tag.epcLengthBits = (pc >> 11) * 16;
+                    tag.umi = !!(pc & 0x0400);
+                    tag.xi = !!(pc & 0x0200);
+                    break;
                 }
-
-                if (tlvType === 241) {  // EPCData
-                    if (offset + 5 < data.length) {
-                        const epcBitLen = data.readUInt16BE(offset + 4);
-                        const epcLen = Math.floor(epcBitLen / 8);
-                        const expectedLen = 6 + epcLen;
-                        if (epcBitLen > 0 && epcBitLen % 8 === 0 && tlvLen === expectedLen &&
-                            offset + 6 + epcLen <= data.length) {
-                            tag.epc = data.slice(offset + 6, offset + 6 + epcLen).toString('hex').toUpperCase();
-                        }
-                    }
-                } else if (tlvType === 6) {  // PeakRSSI (TLV) - some readers encode as TLV
-                    const valueLen = tlvLen - 4;
-                    if (valueLen === 1 && offset + 5 <= data.length) {
-                        tag.rssi = data.readInt8(offset + 4);
-                    } else if (valueLen === 2 && offset + 6 <= data.length) {
-                        tag.rssi = data.readInt16BE(offset + 4) / 100.0;
-                    }
-                } else if (tlvType === 1023) {  // CustomParameter
-                    if (offset + 12 <= data.length && tlvLen >= 12) {
-                        const vendorId = data.readUInt32BE(offset + 4);
-                        const subtype = data.readUInt32BE(offset + 8);
-                        const dataStart = offset + 12;
-                        const dataLen = tlvLen - 12;
-                        const customRssi = parseCustomRssi(vendorId, subtype, dataStart, dataLen);
-                        if (customRssi !== null && tag.rssi === null) {
-                            tag.rssi = customRssi;
-                        }
-                    }
-                } else if (tlvType === 13) {  // EPC-96
-                    if (tlvLen === 16 && offset + 4 + 12 <= data.length) {
-                        tag.epc = data.slice(offset + 4, offset + 4 + 12).toString('hex').toUpperCase();
+                case 'C1G2XPCW1':
+                    tag.xpcW1 = p.fields.xpcW1;
+                    break;
+                case 'C1G2XPCW2':
+                    tag.xpcW2 = p.fields.xpcW2;
+                    break;
+                case 'C1G2SingulationDetails':
+                    tag.singulationDetails = { collisionSlots: p.fields.numCollisionSlots, emptySlots: p.fields.numEmptySlots };
+                    break;
+                case 'Custom':
+                    Object.assign(tag, decodeVendorParam(p.fields));
+                    break;
+                case null: {
+                    const value = p.fields.data;
+                    if (p.tv && !this.unknownTvTypes.has(p.type)) {
+                        // The codec stops at a TV type it has no length for; everything after it is in value
+                        this.unknownTvTypes.add(p.type);
+                        console.warn(`  Warning: unknown TV parameter type ${p.type} in TagReportData, ${value.length} bytes not decoded`);
+                    } else if (!p.tv && p.type === 6 && value.length === 2) {
+                        // PeakRSSI wrapped in a TLV header, in hundredths of a dBm (the 1-byte form decodes as PeakRSSI)
+                        tag.rssi = value.readInt16BE(0) / 100.0;
                     }
+                    break;
+                }
+                default: {
+                    // C1G2 OpSpecResults from our AccessSpecs
+                    const result = decodeOpSpecResult(p);
+                    if (result) this.addOpResult(tag, result);
+                    break;
                 }
-
-                offset += tlvLen;
             }
         }
 
+        // Vendor peak RSSI in 0.01 dBm wins over the whole-dBm PeakRSSI, whichever came first
+        if (tag.peakRssiPrecise !== undefined) {
+            tag.rssi = tag.peakRssiPrecise;
+            delete tag.peakRssiPrecise;
+        }
+
         return tag;
     }
+
+    // Attach an OpSpecResult to the tag; successful reads also land in tag.reads[name]
+    addOpResult(tag, result) {
+        const op = this.opSpecs.get(result.opSpecId);
+        result.name = op ? op.name : null;
+        result.accessSpecId = op ? op.accessSpecId : null;
+
+        if (!tag.opResults) tag.opResults = [];
+        tag.opResults.push(result);
+
+        if (result.type === 'read' && result.success && op) {
+            if (!tag.reads) tag.reads = {};
+            tag.reads[op.name] = result.data;
+        }
+    }
 }
 
 // ============================================
@@ -965,7 +2231,9 @@ if (require.main === module) {
         tagState.set(tag.epc, record);
 
         const seenTime = formatUtcTimestamp(record.timestamp);
-        console.log(`${record.epc} | Count: ${record.count} | RSSI: ${record.rssi ?? '?'} dBm | ANT-${record.antenna ?? '?'} | Seen: ${seenTime}`);
+        const reads = Object.entries(tag.reads || {}).map(([name, data]) => ` | ${name.toUpperCase()}: ${data}`).join('');
+        const frequency = tag.frequencyMhz != null ? ` | ${tag.frequencyMhz} MHz` : '';
+        console.log(`${record.epc} | Count: ${record.count} | RSSI: ${record.rssi ?? '?'} dBm | ANT-${record.antenna ?? '?'}${frequency} | Seen: ${seenTime}${reads}`);
     });
 
     reader.on('connected', () => {
@@ -1028,4 +2296,4 @@ if (require.main === module) {
     reader.connect();
 }
 
-module.exports = { LLRPReader, CONFIG };
+module.exports = { LLRPReader, CONFIG, STATE, ROSPEC_VARIANTS, READER_EVENT_TYPES, READER_CONFIG_DATA, REPORT_CONTENT, VENDOR_IDS, IMPINJ_SEARCH_MODES, REPORT_TRIGGERS, ROSPEC_START_TRIGGERS, ROSPEC_STOP_TRIGGERS, FILTER_ACTIONS, RF_MODE_PREFERENCES, MEMORY_BANKS, LOCK_FIELDS, LOCK_PRIVILEGES, LLRPError, LLRPTimeoutError, LLRPConnectionError, LLRPStartupError };
@@ -4,6 +4,7 @@
  */
 
 const net = require('net');
+const { MSG, encodeMessage, decodeMessage, param, findParam, findParams, findDeep } = require('./llrp-codec');
 
 const CONFIG = {
     ip: '192.168.1.111',
@@ -12,194 +13,91 @@ const CONFIG = {
     powerIndex: 200,  // From your capabilities: 200 = 30 dBm
 };
 
-// LLRP Message Types
-const MSG = {
-    GET_READER_CAPABILITIES: 1,
-    GET_READER_CAPABILITIES_RESPONSE: 11,
-    GET_READER_CONFIG: 2,
-    GET_READER_CONFIG_RESPONSE: 12,
-    ADD_ROSPEC: 20,
-    ADD_ROSPEC_RESPONSE: 30,
-    DELETE_ROSPEC: 21,
-    DELETE_ROSPEC_RESPONSE: 31,
-    START_ROSPEC: 22,
-    START_ROSPEC_RESPONSE: 32,
-    ENABLE_ROSPEC: 24,
-    ENABLE_ROSPEC_RESPONSE: 34,
-    SET_READER_CONFIG: 3,
-    SET_READER_CONFIG_RESPONSE: 13,
-    READER_EVENT_NOTIFICATION: 63,
-    RO_ACCESS_REPORT: 61,
-    KEEPALIVE: 62,
-    KEEPALIVE_ACK: 72,
-};
-
 let socket = null;
 let messageId = 1;
 let buffer = Buffer.alloc(0);
 
-function sendMessage(type, payload = Buffer.alloc(0)) {
-    const header = Buffer.alloc(10);
-    header.writeUInt8((0x01 << 2) | ((type >> 8) & 0x03), 0);
-    header.writeUInt8(type & 0xFF, 1);
-    header.writeUInt32BE(10 + payload.length, 2);
-    header.writeUInt32BE(messageId++, 6);
-    socket.write(Buffer.concat([header, payload]));
-}
-
-// TLV helper
-function tlv(type, value) {
-    const h = Buffer.alloc(4);
-    h.writeUInt16BE(type, 0);
-    h.writeUInt16BE(4 + value.length, 2);
-    return Buffer.concat([h, value]);
+function sendMessage(type, fields = {}, params = []) {
+    socket.write(encodeMessage({ type, messageId: messageId++, fields, params }));
 }
 
 function buildROSpec() {
-    // C1G2SingulationControl (336)
-    const singulation = () => {
-        const v = Buffer.alloc(7);
-        v.writeUInt8(0x80, 0);      // Session 2 (bits 7-6)
-        v.writeUInt16BE(32, 1);     // TagPopulation
-        v.writeUInt32BE(0, 3);      // TagTransitTime
-        return tlv(336, v);
-    };
-
-    // C1G2RFControl (335): ModeIndex + Tari
-    const rfControl = () => {
-        const v = Buffer.alloc(4);
-        v.writeUInt16BE(0, 0);  // ModeIndex = 0 (first available mode)
-        v.writeUInt16BE(0, 2);  // Tari = 0 (use default)
-        return tlv(335, v);
-    };
-
-    // C1G2InventoryCommand (330)
-    const inventoryCmd = () => {
-        const flags = Buffer.from([0x00]);  // TagInventoryStateAware = false
-        return tlv(330, Buffer.concat([flags, rfControl(), singulation()]));
-    };
-
-    // RFTransmitter (224): HopTableID=1, ChannelIndex=0, PowerIndex
-    const rfTransmitter = () => {
-        const v = Buffer.alloc(6);
-        v.writeUInt16BE(1, 0);                    // HopTableID = 1 (from capabilities!)
-        v.writeUInt16BE(0, 2);                    // ChannelIndex = 0 (auto)
-        v.writeUInt16BE(CONFIG.powerIndex, 4);   // Power index 200 = 30dBm
-        return tlv(224, v);
-    };
-
-    // AntennaConfiguration (222) - WITH RFTransmitter
-    const antennaConfig = () => {
-        const antId = Buffer.alloc(2);
-        antId.writeUInt16BE(CONFIG.antenna, 0);
-        return tlv(222, Buffer.concat([antId, rfTransmitter(), inventoryCmd()]));
-    };
-
-    // InventoryParameterSpec (186) - WITH AntennaConfiguration
-    const invParamSpec = () => {
-        const hdr = Buffer.alloc(3);
-        hdr.writeUInt16BE(1, 0);  // SpecID = 1
-        hdr.writeUInt8(1, 2);     // ProtocolID = EPCGlobalClass1Gen2
-        return tlv(186, Buffer.concat([hdr, antennaConfig()]));
-    };
-
-    // ROSpecStartTrigger (179): Null
-    const startTrigger = tlv(179, Buffer.from([0x00]));
-
-    // ROSpecStopTrigger (182): Null with duration
-    const stopTrigger = tlv(182, Buffer.from([0x00, 0x00, 0x00, 0x00, 0x00]));
-
-    // ROBoundarySpec (178)
-    const boundary = tlv(178, Buffer.concat([startTrigger, stopTrigger]));
-
-    // AISpec AntennaIDs - explicit antenna 1
-    const antennaIds = Buffer.alloc(4);
-    antennaIds.writeUInt16BE(1, 0);               // Count = 1
-    antennaIds.writeUInt16BE(CONFIG.antenna, 2);  // Antenna ID = 1 (explicit!)
-
-    // AISpecStopTrigger (184): Null
-    const aiStopTrigger = tlv(184, Buffer.from([0x00, 0x00, 0x00, 0x00, 0x00]));
-
-    // AISpec (183)
-    const aiSpec = tlv(183, Buffer.concat([antennaIds, aiStopTrigger, invParamSpec()]));
-
-    // TagReportContentSelector (238): Enable everything
-    const trcs = tlv(238, Buffer.from([0xFF, 0xFF]));
-
-    // ROReportSpec (237): Report on every tag
-    const reportSpec = tlv(237, Buffer.concat([Buffer.from([0x01, 0x00, 0x01]), trcs]));
-
-    // ROSpec header
-    const header = Buffer.alloc(6);
-    header.writeUInt32BE(1, 0);  // ROSpecID = 1
-    header.writeUInt8(0, 4);     // Priority
-    header.writeUInt8(0, 5);     // State = Disabled
-
-    return tlv(177, Buffer.concat([header, boundary, aiSpec, reportSpec]));
+    // C1G2InventoryCommand: TagInventoryStateAware = false
+    const inventoryCmd = param('C1G2InventoryCommand', { tagInventoryStateAware: 0 }, [
+        param('C1G2RFControl', { modeIndex: 0, tari: 0 }),  // First available mode, default Tari
+        param('C1G2SingulationControl', { session: 2, tagPopulation: 32, tagTransitTime: 0 }),
+    ]);
+
+    // RFTransmitter: HopTableID=1 (from capabilities!), ChannelIndex=0 (auto), power index 200 = 30dBm
+    const rfTransmitter = param('RFTransmitter', { hopTableId: 1, channelIndex: 0, transmitPower: CONFIG.powerIndex });
+
+    // InventoryParameterSpec - WITH AntennaConfiguration (and RFTransmitter)
+    const invParamSpec = param('InventoryParameterSpec', { inventoryParameterSpecId: 1, protocolId: 1 }, [
+        param('AntennaConfiguration', { antennaId: CONFIG.antenna }, [rfTransmitter, inventoryCmd]),
+    ]);
+
+    // ROBoundarySpec: Null start trigger, Null stop trigger with duration
+    const boundary = param('ROBoundarySpec', {}, [
+        param('ROSpecStartTrigger', { roSpecStartTriggerType: 0 }),
+        param('ROSpecStopTrigger', { roSpecStopTriggerType: 0, durationTriggerValue: 0 }),
+    ]);
+
+    // AISpec: explicit antenna, Null stop trigger
+    const aiSpec = param('AISpec', { antennaIds: [CONFIG.antenna] }, [
+        param('AISpecStopTrigger', { aiSpecStopTriggerType: 0, durationTrigger: 0 }),
+        invParamSpec,
+    ]);
+
+    // TagReportContentSelector: Enable everything
+    const trcs = param('TagReportContentSelector', {
+        enableRoSpecId: 1,
+        enableSpecIndex: 1,
+        enableInventoryParameterSpecId: 1,
+        enableAntennaId: 1,
+        enableChannelIndex: 1,
+        enablePeakRssi: 1,
+        enableFirstSeenTimestamp: 1,
+        enableLastSeenTimestamp: 1,
+        enableTagSeenCount: 1,
+        enableAccessSpecId: 1,
+    });
+
+    // ROReportSpec: Report on every tag
+    const reportSpec = param('ROReportSpec', { roReportTrigger: 1, n: 1 }, [trcs]);
+
+    // ROSpecID = 1, Priority = 0, State = Disabled
+    return param('ROSpec', { roSpecId: 1, priority: 0, currentState: 0 }, [boundary, aiSpec, reportSpec]);
 }
 
 function parseTagReport(data) {
-    let offset = 10;
-    while (offset + 4 < data.length) {
-        const paramType = data.readUInt16BE(offset) & 0x03FF;  // Mask vendor bits
-        const paramLen = data.readUInt16BE(offset + 2);
-        if (paramLen === 0 || offset + paramLen > data.length) break;
-
-        if (paramType === 240) {  // TagReportData
-            const tagData = data.slice(offset + 4, offset + paramLen);
-            const tag = parseTag(tagData);
-            if (tag.epc) {
-                const time = new Date().toISOString().substr(11, 12);
-                console.log(`[${time}] ANT-${tag.antenna} | ${tag.epc} | RSSI: ${tag.rssi} dBm`);
-            } else {
-                console.log('Tag without EPC, raw:', tagData.slice(0, 30).toString('hex'));
-            }
+    for (const report of findParams(decodeMessage(data), 'TagReportData')) {
+        const tag = parseTag(report);
+        if (tag.epc) {
+            const time = new Date().toISOString().substr(11, 12);
+            console.log(`[${time}] ANT-${tag.antenna} | ${tag.epc} | RSSI: ${tag.rssi} dBm`);
+        } else {
+            console.log('Tag without EPC, params:', report.params.map(p => p.name ?? p.type).join(', '));
         }
-        offset += paramLen;
     }
 }
 
-function parseTag(data) {
+function parseTag(report) {
     const tag = { epc: null, antenna: 0, rssi: 0 };
-    let offset = 0;
-
-    while (offset < data.length - 1) {
-        if (data[offset] & 0x80) {
-            // TV parameter
-            const tvType = data[offset] & 0x7F;
-            switch (tvType) {
-                case 1:  // AntennaID
-                    if (offset + 2 < data.length) tag.antenna = data.readUInt16BE(offset + 1);
-                    offset += 3;
-                    break;
-                case 6:  // PeakRSSI
-                    if (offset + 1 < data.length) tag.rssi = data.readInt8(offset + 1);
-                    offset += 2;
-                    break;
-                case 13: // EPC-96
-                    if (offset + 12 < data.length) {
-                        tag.epc = data.slice(offset + 1, offset + 13).toString('hex').toUpperCase();
-                    }
-                    offset += 13;
-                    break;
-                default:
-                    offset += 2;  // Skip unknown TV
-            }
-        } else {
-            // TLV parameter
-            if (offset + 4 > data.length) break;
-            const tlvType = data.readUInt16BE(offset) & 0x03FF;
-            const tlvLen = data.readUInt16BE(offset + 2);
-            if (tlvLen === 0 || offset + tlvLen > data.length) break;
-
-            if (tlvType === 241 && tlvLen > 6) {  // EPCData
-                const bitLen = data.readUInt16BE(offset + 4);
-                const byteLen = Math.floor(bitLen / 8);
-                if (offset + 6 + byteLen <= data.length) {
-                    tag.epc = data.slice(offset + 6, offset + 6 + byteLen).toString('hex').toUpperCase();
-                }
-            }
-            offset += tlvLen;
+
+    for (const p of report.params) {
+        switch (p.name) {
+            case 'AntennaID':
+                tag.antenna = p.fields.antennaId;
+                break;
+            case 'PeakRSSI':
+                tag.rssi = p.fields.peakRssi;
+                break;
+            case 'EPC_96':
+                tag.epc = p.fields.epc;
+                break;
+            case 'EPCData':
+                tag.epc = p.fields.epc.hex;
+                break;
         }
     }
     return tag;
@@ -226,120 +124,48 @@ function processMessage(data) {
             console.log('-> Reader Event:', data.slice(10, Math.min(40, data.length)).toString('hex'));
             if (!started) {
                 console.log('-> Getting reader config (all)...');
-                // GET_READER_CONFIG: RequestedData=0 (All), AntennaID=0, GPI=0, GPO=0
-                const configReq = Buffer.alloc(7);
-                configReq.writeUInt8(0, 0);      // RequestedData = 0 (All)
-                configReq.writeUInt16BE(0, 1);   // AntennaID = 0 (all)
-                configReq.writeUInt16BE(0, 3);   // GPIPortNum = 0
-                configReq.writeUInt16BE(0, 5);   // GPOPortNum = 0
-                sendMessage(MSG.GET_READER_CONFIG, configReq);
+                // GET_READER_CONFIG: AntennaID=0 (all), RequestedData=0 (All), GPI=0, GPO=0
+                sendMessage(MSG.GET_READER_CONFIG, { antennaId: 0, requestedData: 0, gpiPortNum: 0, gpoPortNum: 0 });
             }
             break;
 
-        case MSG.GET_READER_CONFIG_RESPONSE:
+        case MSG.GET_READER_CONFIG_RESPONSE: {
             console.log('-> Antenna Config Response:');
-            // Parse AntennaProperties (type 221)
-            let offset = 10;
-            while (offset + 4 < data.length) {
-                const pType = data.readUInt16BE(offset) & 0x03FF;
-                const pLen = data.readUInt16BE(offset + 2);
-                if (pLen === 0 || offset + pLen > data.length) break;
-
-                if (pType === 221) {  // AntennaProperties
-                    const antEnabled = data.readUInt8(offset + 4) & 0x80;
-                    const antId = data.readUInt16BE(offset + 5);
-                    const antGain = data.readInt16BE(offset + 7);
-                    console.log(`   Antenna ${antId}: enabled=${antEnabled ? 'YES' : 'NO'}, gain=${antGain/100}dBi`);
-                }
-                if (pType === 287) {  // LLRPStatus
-                    const code = data.readUInt16BE(offset + 4);
-                    if (code !== 0) console.log(`   Status error: ${code}`);
-                }
-                offset += pLen;
+            const response = decodeMessage(data);
+            for (const props of findParams(response, 'AntennaProperties')) {
+                const { antennaId, antennaConnected, antennaGain } = props.fields;
+                console.log(`   Antenna ${antennaId}: enabled=${antennaConnected ? 'YES' : 'NO'}, gain=${antennaGain/100}dBi`);
             }
+            const status = findParam(response, 'LLRPStatus');
+            if (status && status.fields.statusCode !== 0) console.log(`   Status error: ${status.fields.statusCode}`);
             console.log('-> Getting capabilities to find HopTableID...');
-            sendMessage(MSG.GET_READER_CAPABILITIES, Buffer.from([0x00]));  // Request all
+            sendMessage(MSG.GET_READER_CAPABILITIES, { requestedData: 0 });  // Request all
             break;
+        }
 
         case MSG.GET_READER_CAPABILITIES_RESPONSE:
             console.log('-> Capabilities received, searching for HopTable...');
-            // Recursive search for hop tables
-            function findHopTables(buf, start, end, depth = 0) {
-                let off = start;
-                const indent = '  '.repeat(depth);
-                while (off + 4 <= end) {
-                    const t = buf.readUInt16BE(off) & 0x03FF;
-                    const len = buf.readUInt16BE(off + 2);
-                    if (len < 4 || off + len > end) break;
-
-                    if (t === 143) {
-                        console.log(`${indent}RegulatoryCapabilities @ ${off}`);
-                        // Parse inside: skip header (4) + CountryCode(2) + CommStandard(2) = 8
-                        findHopTables(buf, off + 8, off + len, depth + 1);
-                    } else if (t === 144) {
-                        console.log(`${indent}UHFBandCapabilities @ ${off}, len=${len}`);
-                        // Dump first 100 bytes of content
-                        console.log(`${indent}  Content: ${buf.slice(off + 4, off + Math.min(len, 104)).toString('hex')}`);
-                        // List all nested TLV types
-                        let inner = off + 4;
-                        while (inner + 4 <= off + len) {
-                            const it = buf.readUInt16BE(inner) & 0x03FF;
-                            const il = buf.readUInt16BE(inner + 2);
-                            if (il < 4 || inner + il > off + len) break;
-                            console.log(`${indent}    Nested type=${it}, len=${il}`);
-                            if (it === 147) {
-                                const hid = buf.readUInt8(inner + 4);
-                                console.log(`${indent}      >>> HopTableID = ${hid}`);
-                            }
-                            if (it === 146) {  // FrequencyInformation
-                                console.log(`${indent}      FrequencyInformation content:`);
-                                console.log(`${indent}        ${buf.slice(inner + 4, inner + Math.min(il, 50)).toString('hex')}`);
-                                // Check for nested FrequencyHopTable (147) or FixedFrequencyTable (148)
-                                let fi = inner + 4 + 1;  // skip Hopping flag byte
-                                while (fi + 4 <= inner + il) {
-                                    const fit = buf.readUInt16BE(fi) & 0x03FF;
-                                    const fil = buf.readUInt16BE(fi + 2);
-                                    if (fil < 4) break;
-                                    console.log(`${indent}        -> Nested type=${fit}, len=${fil}`);
-                                    if (fit === 147) {
-                                        const hid = buf.readUInt8(fi + 4);
-                                        console.log(`${indent}           >>> HopTableID = ${hid}`);
-                                    }
-                                    fi += fil;
-                                }
-                            }
-                            inner += il;
-                        }
-                        findHopTables(buf, off + 4, off + len, depth + 1);
-                    } else if (t === 147) {
-                        // FrequencyHopTable: header(4) + HopTableID(1) + Version(1) + NumHops(2) + Freqs...
-                        const hopId = buf.readUInt8(off + 4);
-                        console.log(`${indent}FrequencyHopTable @ ${off}: HopTableID = ${hopId}`);
-                    } else if (t === 145) {
-                        // TransmitPowerLevelTableEntry - skip silently
+            // Walk RegulatoryCapabilities -> UHFBandCapabilities -> FrequencyInformation
+            for (const regulatory of findParams(decodeMessage(data), 'RegulatoryCapabilities')) {
+                console.log(`RegulatoryCapabilities: country=${regulatory.fields.countryCode}`);
+                for (const uhfBand of findParams(regulatory, 'UHFBandCapabilities')) {
+                    console.log(`  UHFBandCapabilities: nested types=${uhfBand.params.map(p => p.type).join(',')}`);
+                    for (const hopTable of findDeep(uhfBand, 'FrequencyHopTable')) {
+                        console.log(`    FrequencyHopTable: HopTableID = ${hopTable.fields.hopTableId} (${hopTable.fields.frequencies.length} hops)`);
+                    }
+                    for (const fixed of findDeep(uhfBand, 'FixedFrequencyTable')) {
+                        console.log(`    FixedFrequencyTable: ${fixed.fields.frequencies.length} channels`);
                     }
-                    off += len;
                 }
             }
-            findHopTables(data, 10, data.length, 0);
             console.log('-> Setting antenna power via SET_READER_CONFIG...');
-            // SET_READER_CONFIG with AntennaConfiguration
-            const setConfig = Buffer.concat([
-                Buffer.from([0x00]),  // ResetToFactoryDefault = false
-                // AntennaConfiguration (222) for antenna 1
-                tlv(222, Buffer.concat([
-                    Buffer.from([0x00, 0x01]),  // AntennaID = 1
-                    // RFTransmitter (224)
-                    tlv(224, Buffer.from([
-                        0x00, 0x01,  // HopTableID = 1
-                        0x00, 0x00,  // ChannelIndex = 0
-                        0x00, 0xC8   // TransmitPower = 200 (30dBm)
-                    ])),
-                    // RFReceiver (225)
-                    tlv(225, Buffer.from([0x00, 0x01]))  // Sensitivity = 1
-                ]))
+            // SET_READER_CONFIG (ResetToFactoryDefault = false) with AntennaConfiguration for antenna 1
+            sendMessage(MSG.SET_READER_CONFIG, { restoreFactorySettings: 0 }, [
+                param('AntennaConfiguration', { antennaId: 1 }, [
+                    param('RFTransmitter', { hopTableId: 1, channelIndex: 0, transmitPower: 200 }),  // 200 = 30dBm
+                    param('RFReceiver', { receiverSensitivity: 1 }),
+                ]),
             ]);
-            sendMessage(MSG.SET_READER_CONFIG, setConfig);
             break;
 
         case MSG.SET_READER_CONFIG_RESPONSE:
@@ -347,25 +173,25 @@ function processMessage(data) {
                 console.log('-> Antenna power configured!');
             }
             console.log('-> Deleting old ROSpecs...');
-            sendMessage(MSG.DELETE_ROSPEC, Buffer.from([0x00, 0x00, 0x00, 0x00]));
+            sendMessage(MSG.DELETE_ROSPEC, { roSpecId: 0 });  // All
             break;
 
         case MSG.DELETE_ROSPEC_RESPONSE:
             console.log('-> Adding ROSpec...');
-            sendMessage(MSG.ADD_ROSPEC, buildROSpec());
+            sendMessage(MSG.ADD_ROSPEC, {}, [buildROSpec()]);
             break;
 
         case MSG.ADD_ROSPEC_RESPONSE:
             if (checkStatus(data, 'ADD_ROSPEC')) {
                 console.log('-> Enabling ROSpec...');
-                sendMessage(MSG.ENABLE_ROSPEC, Buffer.from([0x00, 0x00, 0x00, 0x01]));
+                sendMessage(MSG.ENABLE_ROSPEC, { roSpecId: 1 });
             }
             break;
 
         case MSG.ENABLE_ROSPEC_RESPONSE:
             if (checkStatus(data, 'ENABLE_ROSPEC')) {
                 console.log('-> Starting ROSpec...');
-                sendMessage(MSG.START_ROSPEC, Buffer.from([0x00, 0x00, 0x00, 0x01]));
+                sendMessage(MSG.START_ROSPEC, { roSpecId: 1 });
             }
             break;
 
@@ -395,31 +221,14 @@ function processMessage(data) {
 }
 
 function checkStatus(data, name) {
-    // Find LLRPStatus (287)
-    let offset = 10;
-    while (offset + 4 < data.length) {
-        const paramType = data.readUInt16BE(offset) & 0x03FF;
-        const paramLen = data.readUInt16BE(offset + 2);
-        if (paramLen === 0) break;
-
-        if (paramType === 287 && paramLen >= 6) {
-            const code = data.readUInt16BE(offset + 4);
-            if (code !== 0) {
-                console.error(`${name} FAILED: status=${code}`);
-                // Try to get error description
-                if (paramLen > 6) {
-                    const descLen = data.readUInt16BE(offset + 6);
-                    if (descLen > 0 && offset + 8 + descLen <= data.length) {
-                        console.error(`  -> ${data.slice(offset + 8, offset + 8 + descLen).toString()}`);
-                    }
-                }
-                return false;
-            }
-            return true;
-        }
-        offset += paramLen;
+    const status = findParam(decodeMessage(data), 'LLRPStatus');
+    if (!status || status.fields.statusCode === 0) return true;
+
+    console.error(`${name} FAILED: status=${status.fields.statusCode}`);
+    if (status.fields.errorDescription) {
+        console.error(`  -> ${status.fields.errorDescription}`);
     }
-    return true;
+    return false;
 }
 
 // Connect
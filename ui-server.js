@@ -11,6 +11,10 @@ let reader = null;
 let running = false;
 let antennaSelection = [1];
 let powerDbm = 30;
+let triggers = CONFIG.triggers || { start: { type: 'null' }, stop: { type: 'null' } };
+let inventoryActive = null;  // From ROSpec start/end events, null until the first one
+let readerState = { state: 'disconnected', reason: null };
+let readerError = null;
 
 const sendEvent = (res, event, data) => {
     res.write(`event: ${event}\n`);
@@ -23,17 +27,68 @@ const broadcast = (event, data) => {
     }
 };
 
+// Fields each trigger type takes from the UI: name -> check; everything else is dropped
+const positive = (n) => Number.isInteger(n) && n > 0;
+const nonNegative = (n) => Number.isInteger(n) && n >= 0;
+const isBoolean = (v) => typeof v === 'boolean';
+const START_TRIGGER_FIELDS = {
+    null: {},
+    immediate: {},
+    periodic: { periodMs: positive, offsetMs: nonNegative },
+    gpi: { port: positive, event: isBoolean, timeoutMs: nonNegative },
+};
+const STOP_TRIGGER_FIELDS = {
+    null: {},
+    duration: { durationMs: positive },
+    gpi: { port: positive, event: isBoolean, timeoutMs: nonNegative },
+    tags: { count: positive, timeoutMs: nonNegative },
+};
+// Optional fields; the rest are required
+const OPTIONAL_TRIGGER_FIELDS = ['offsetMs', 'event', 'timeoutMs'];
+
+// One start or stop trigger from the UI, rebuilt from its whitelisted fields, or null if malformed
+const sanitizeTrigger = (trigger, fieldsByType) => {
+    if (!trigger || typeof trigger !== 'object' || !Object.hasOwn(fieldsByType, trigger.type)) return null;
+    const clean = { type: trigger.type };
+    for (const [name, valid] of Object.entries(fieldsByType[trigger.type])) {
+        if (trigger[name] === undefined && OPTIONAL_TRIGGER_FIELDS.includes(name)) continue;
+        if (!valid(trigger[name])) return null;
+        clean[name] = trigger[name];
+    }
+    return clean;
+};
+
+// Trigger config from the UI -> config.triggers, or null if malformed
+const sanitizeTriggers = (value) => {
+    if (!value || typeof value !== 'object') return null;
+    const start = sanitizeTrigger(value.start, START_TRIGGER_FIELDS);
+    const stop = sanitizeTrigger(value.stop, STOP_TRIGGER_FIELDS);
+    return start && stop ? { start, stop } : null;
+};
+
+// Plain-object form of an LLRPError for the UI (status name, nested errors)
+const serializeError = (err) => ({
+    message: err?.message || String(err),
+    step: err?.step || null,
+    statusCode: err?.statusCode ?? null,
+    statusName: err?.statusName || null,
+    description: err?.description || null,
+    errorDescription: err?.errorDescription || null,
+    parameterError: err?.parameterError || null,
+    fieldError: err?.fieldError || null,
+});
+
 const startReader = () => {
     if (running) return;
 
-    // Create fresh config from base CONFIG
+    // Fresh config from base CONFIG, with the UI-controlled settings on top
     const config = {
-        ip: CONFIG.ip,
-        port: CONFIG.port,
+        ...CONFIG,
         antennas: [...antennaSelection],
         antennaPowerDbm: {},
         reconnectInterval: CONFIG.reconnectInterval || 5000,
         enableReconnect: true,
+        triggers,
         debugRx: false,  // Keep UI server quiet
     };
 
@@ -48,26 +103,63 @@ const startReader = () => {
     console.log(`  Power: ${powerDbm} dBm`);
     console.log('='.repeat(50));
 
-    reader = new LLRPReader(config);
+    try {
+        reader = new LLRPReader(config);
+    } catch (err) {
+        // Invalid config (TypeError from the reader's validation)
+        console.error('Reader config rejected:', err.message);
+        readerError = serializeError(err);
+        broadcast('readerError', readerError);
+        return;
+    }
 
-    reader.on('tag', (tag) => {
-        if (!tag.epc) return;
-        const timestamp = typeof tag.timestamp === 'bigint' ? tag.timestamp.toString() : tag.timestamp;
-        broadcast('tag', {
+    // One SSE event per reader report rather than per tag
+    reader.on('tagBatch', (tags) => {
+        broadcast('tags', tags.map((tag) => ({
             epc: tag.epc,
             seenCount: tag.seenCount,
             rssi: tag.rssi,
             antenna: tag.antenna,
-            timestamp
-        });
+            channelIndex: tag.channelIndex,
+            frequencyMhz: tag.frequencyMhz,
+            phase: tag.phase,
+            dopplerHz: tag.dopplerHz,
+            tid: tag.tid,
+            reads: tag.reads,
+            timestamp: typeof tag.timestamp === 'bigint' ? tag.timestamp.toString() : tag.timestamp
+        })));
     });
 
     reader.on('connected', () => {
         console.log('Reader connected.');
     });
 
-    reader.on('ready', () => {
-        console.log('Reader ready - reading tags.');
+    reader.on('state', ({ from, to, reason }) => {
+        console.log(`Reader state: ${from} -> ${to} (${reason})`);
+        readerState = { state: to, reason };
+        broadcast('readerState', readerState);
+    });
+
+    reader.on('ready', ({ variant, protocolVersion }) => {
+        console.log(`Reader ready - reading tags (ROSpec variant: ${variant}, LLRP version ${protocolVersion}).`);
+        readerError = null;
+        broadcast('readerError', readerError);
+    });
+
+    reader.on('roSpecEvent', ({ event }) => {
+        inventoryActive = event === 'start';
+        broadcast('inventory', { active: inventoryActive });
+    });
+
+    reader.on('reconnecting', ({ attempt, delay, maxAttempts }) => {
+        broadcast('reconnecting', { attempt, delay, maxAttempts });
+    });
+
+    reader.on('giveUp', ({ attempts }) => {
+        console.error(`Reader unreachable, gave up after ${attempts} reconnect attempts.`);
+        readerError = serializeError(new Error(`Reader unreachable: gave up after ${attempts} reconnect attempts`));
+        broadcast('readerError', readerError);
+        stopReader();
     });
 
     reader.on('disconnect', () => {
@@ -76,6 +168,8 @@ const startReader = () => {
 
     reader.on('error', (err) => {
         console.error('Reader error:', err?.message || err);
+        readerError = serializeError(err);
+        broadcast('readerError', readerError);
     });
 
     reader.connect();
@@ -91,10 +185,12 @@ const stopReader = () => {
         reader = null;
     }
     running = false;
+    inventoryActive = null;
+    broadcast('inventory', { active: inventoryActive });
     broadcast('status', { running: false });
 };
 
-const updateConfig = (nextAntennas, nextPowerDbm) => {
+const updateConfig = (nextAntennas, nextPowerDbm, nextTriggers) => {
     let changed = false;
 
     if (Array.isArray(nextAntennas) && nextAntennas.length > 0) {
@@ -115,7 +211,13 @@ const updateConfig = (nextAntennas, nextPowerDbm) => {
         }
     }
 
-    broadcast('config', { antennas: antennaSelection, powerDbm });
+    if (nextTriggers && JSON.stringify(nextTriggers) !== JSON.stringify(triggers)) {
+        triggers = nextTriggers;
+        changed = true;
+        console.log(`Config updated: triggers = start ${triggers.start.type}, stop ${triggers.stop.type}`);
+    }
+
+    broadcast('config', { antennas: antennaSelection, powerDbm, triggers });
 
     // Restart reader if running and config changed
     if (running && changed) {
@@ -151,7 +253,10 @@ const server = http.createServer((req, res) => {
         res.write('\n');
         clients.add(res);
         sendEvent(res, 'status', { running });
-        sendEvent(res, 'config', { antennas: antennaSelection, powerDbm });
+        sendEvent(res, 'config', { antennas: antennaSelection, powerDbm, triggers });
+        sendEvent(res, 'inventory', { active: inventoryActive });
+        sendEvent(res, 'readerState', readerState);
+        sendEvent(res, 'readerError', readerError);
 
         const keepAlive = setInterval(() => {
             res.write(': ping\n\n');
@@ -185,6 +290,23 @@ const server = http.createServer((req, res) => {
         return;
     }
 
+    if (url.pathname === '/inventory' && req.method === 'POST') {
+        // Run one more inventory with the configured stop trigger
+        if (!reader) {
+            res.writeHead(409, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false, error: 'Reader not running' }));
+            return;
+        }
+        reader.startInventory().then(() => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: true }));
+        }, (err) => {
+            res.writeHead(409, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false, error: err.message }));
+        });
+        return;
+    }
+
     if (url.pathname === '/config' && req.method === 'POST') {
         let body = '';
         req.on('data', (chunk) => {
@@ -197,7 +319,7 @@ const server = http.createServer((req, res) => {
                     ? parsed.antennas.map(Number).filter((n) => Number.isInteger(n) && n >= 1 && n <= 8)
                     : null;
                 const nextPower = typeof parsed.powerDbm === 'number' ? parsed.powerDbm : null;
-                updateConfig(antennas, nextPower);
+                updateConfig(antennas, nextPower, sanitizeTriggers(parsed.triggers));
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({ ok: true }));
             } catch (err) {
@@ -13,6 +13,7 @@
 const net = require('net');
 const EventEmitter = require('events');
 const fs = require('fs');
+const { decodeParams } = require('./llrp-codec');
 
 // Configuration - Edit these settings
 const CONFIG = {
@@ -729,113 +730,39 @@ class LLRPReader extends EventEmitter {
 
     parseTagReportData(data) {
         const tag = { epc: null, antenna: null, rssi: null, timestamp: null };
-        let offset = 0;
 
         // Debug: show raw TagReportData if debugRx enabled
         if (this.config.debugRx) {
             console.log(`  TagReportData raw (${data.length} bytes): ${data.slice(0, Math.min(50, data.length)).toString('hex')}`);
         }
 
-        while (offset < data.length) {
-            if (data[offset] & 0x80) {
-                // TV-encoded parameter (Type-Value, no length field)
-                const tvType = data[offset] & 0x7F;
-                switch (tvType) {
-                    case 1:  // AntennaID (TV): 1 byte type + 2 bytes value
-                        if (offset + 3 <= data.length) {
-                            tag.antenna = data.readUInt16BE(offset + 1);
-                        }
-                        offset += 3;
-                        break;
-                    case 6:  // PeakRSSI (TV): 1 byte type + 1 byte value (signed)
-                        if (offset + 2 <= data.length) {
-                            tag.rssi = data.readInt8(offset + 1);
-                        }
-                        offset += 2;
-                        break;
-                    case 7:  // ChannelIndex (TV): 1 byte type + 2 bytes value
-                        offset += 3;
-                        break;
-                    case 8:  // FirstSeenTimestampUTC (TV): 1 byte type + 8 bytes value
-                        offset += 9;
-                        break;
-                    case 9:  // LastSeenTimestampUTC (TV): 1 byte type + 8 bytes value
-                        if (offset + 9 <= data.length) {
-                            tag.timestamp = data.readBigUInt64BE(offset + 1);
-                        }
-                        offset += 9;
-                        break;
-                    case 10: // TagSeenCount (TV): 1 byte type + 2 bytes value
-                        if (offset + 3 <= data.length) {
-                            tag.seenCount = data.readUInt16BE(offset + 1);
-                        }
-                        offset += 3;
-                        break;
-                    case 13: // EPC-96 (TV): 1 byte type + 12 bytes EPC
-                        if (offset + 13 <= data.length) {
-                            tag.epc = data.slice(offset + 1, offset + 13).toString('hex').toUpperCase();
-                        }
-                        offset += 13;
-                        break;
-                    case 14: // ROSpecID (TV): 1 byte type + 4 bytes value
-                        offset += 5;
-                        break;
-                    case 15: // SpecIndex (TV): 1 byte type + 2 bytes value
-                        offset += 3;
-                        break;
-                    case 16: // InventoryParameterSpecID (TV): 1 byte type + 2 bytes value
-                        offset += 3;
-                        break;
-                    default: {
-                        // Unknown TV param - don't know its length, try to resync
-                        // Scan forward for next TV header (MSB set) or give up
-                        let jumped = false;
-                        for (let j = 1; j <= 16 && offset + j < data.length; j++) {
-                            if (data[offset + j] & 0x80) {
-                                offset += j;
-                                jumped = true;
-                                break;
-                            }
-                        }
-                        if (!jumped) return tag; // Give up on this tag block
-                        break;
-                    }
+        // TV lengths come from the shared table in llrp-params, so nothing is guessed here
+        for (const p of decodeParams(data)) {
+            switch (p.name) {
+                case 'EPCData': {
+                    const { bitCount, hex } = p.fields.epc;
+                    if (bitCount > 0 && bitCount % 8 === 0) tag.epc = hex;
+                    break;
                 }
-            } else {
-                if (offset + 3 >= data.length) break;
-
-                const tlvType = data.readUInt16BE(offset) & 0x3FF;
-                const tlvLen = data.readUInt16BE(offset + 2);
-
-                if (tlvLen === 0 || offset + tlvLen > data.length) {
-                    // Try to find next TV parameter by scanning forward
-                    let found = false;
-                    for (let skip = 1; skip <= 4 && offset + skip < data.length; skip++) {
-                        if (data[offset + skip] & 0x80) {
-                            offset += skip;
-                            found = true;
-                            break;
-                        }
-                    }
-                    if (!found) break;
-                    continue;
-                }
-
-                if (tlvType === 241) {  // EPCData
-                    if (offset + 5 < data.length) {
-                        const epcBitLen = data.readUInt16BE(offset + 4);
-                        const epcLen = Math.floor(epcBitLen / 8);
-                        if (offset + 6 + epcLen <= data.length) {
-                            tag.epc = data.slice(offset + 6, offset + 6 + epcLen).toString('hex').toUpperCase();
-                        }
-                    }
-                } else if (tlvType === 13) {  // EPC-96
-                    if (offset + 4 + 12 <= data.length) {
-                        tag.epc = data.slice(offset + 4, offset + 4 + 12).toString('hex').toUpperCase();
-                    }
-                }
-
-                offset += tlvLen;
+                case 'EPC_96':
+                    tag.epc = p.fields.epc;
+                    break;
+                case 'AntennaID':
+                    tag.antenna = p.fields.antennaId;
+                    break;
+                case 'PeakRSSI':
+                    tag.rssi = p.fields.peakRssi;
+                    break;
+                case 'LastSeenTimestampUTC':
+                    tag.timestamp = p.fields.microseconds;
+                    break;
+                case 'TagSeenCount':
+                    tag.seenCount = p.fields.tagCount;
+                    break;
+                case null:
+                    // The codec stops at a TV type it has no length for
+                    if (p.tv) console.log(`  Unknown TV param type ${p.type}, ${p.fields.data.length} bytes not parsed`);
+                    break;
             }
         }
 